@@ -0,0 +1,139 @@
+// IndexedDB cache of parsed activities and their computed lap stats
+// Keyed by Garmin activity id. The small 'meta' rows let the history be
+// listed (and evicted) without loading any samples.
+//
+// The database lives in the extension's origin, shared by the service
+// worker and analyze.html. Content scripts run in connect.garmin.com's
+// origin, so their calls are relayed by the service worker.
+
+const CACHE_DB = 'garmin-lap-analyzer';
+const CACHE_VERSION = 1;
+const CACHE_STORES = ['activities', 'stats', 'meta'];
+const CACHE_IN_EXTENSION = self.location.protocol === 'chrome-extension:';
+
+// Earlier versions opened the cache in the Garmin site's own IndexedDB
+if (!CACHE_IN_EXTENSION) indexedDB.deleteDatabase(CACHE_DB);
+
+let cacheDbPromise = null;
+
+function openCacheDb() {
+  if (!cacheDbPromise) {
+    cacheDbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(CACHE_DB, CACHE_VERSION);
+      req.onupgradeneeded = () => {
+        for (const name of CACHE_STORES) {
+          if (!req.result.objectStoreNames.contains(name)) {
+            req.result.createObjectStore(name, { keyPath: 'id' });
+          }
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    // Let the next call retry (e.g. after a blocked upgrade)
+    cacheDbPromise.catch(() => (cacheDbPromise = null));
+  }
+  return cacheDbPromise;
+}
+
+function requestResult(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+async function dbRead(store, id) {
+  const db = await openCacheDb();
+  return requestResult(db.transaction(store).objectStore(store).get(id));
+}
+
+async function dbWrite(rows) {
+  const db = await openCacheDb();
+  const tx = db.transaction(Object.keys(rows), 'readwrite');
+  for (const [store, row] of Object.entries(rows)) tx.objectStore(store).put(row);
+  return transactionDone(tx);
+}
+
+async function dbDelete(ids) {
+  const db = await openCacheDb();
+  const tx = db.transaction(CACHE_STORES, 'readwrite');
+  for (const id of ids) {
+    for (const store of CACHE_STORES) tx.objectStore(store).delete(id);
+  }
+  return transactionDone(tx);
+}
+
+async function dbClear() {
+  const db = await openCacheDb();
+  const tx = db.transaction(CACHE_STORES, 'readwrite');
+  for (const store of CACHE_STORES) tx.objectStore(store).clear();
+  return transactionDone(tx);
+}
+
+async function dbList() {
+  const db = await openCacheDb();
+  const rows = await requestResult(db.transaction('meta').objectStore('meta').getAll());
+  return rows.sort((a, b) => b.openedAt - a.openedAt);
+}
+
+const CACHE_OPS = { read: dbRead, write: dbWrite, delete: dbDelete, clear: dbClear, list: dbList };
+
+// Run a cache operation here, or in the service worker from a content script
+async function cacheCall(op, ...args) {
+  if (CACHE_IN_EXTENSION) return CACHE_OPS[op](...args);
+  const response = await chrome.runtime.sendMessage({ type: 'GLA_CACHE', op, args });
+  if (!response) throw new Error('No response from the extension');
+  if (response.error) throw new Error(response.error);
+  return response.result;
+}
+
+function cacheRead(store, id) {
+  return cacheCall('read', store, id);
+}
+
+// Write one row per store, e.g. { activities: {...}, meta: {...} }
+function cacheWrite(rows) {
+  return cacheCall('write', rows);
+}
+
+function cacheDelete(ids) {
+  return cacheCall('delete', ids);
+}
+
+function cacheClear() {
+  return cacheCall('clear');
+}
+
+// History rows, most recently opened first
+function cacheList() {
+  return cacheCall('list');
+}
+
+// Rough storage size of a value, in bytes
+function estimateSize(value) {
+  return JSON.stringify(value).length;
+}
+
+// Drop the least recently opened activities until the cache fits in
+// maxBytes. Returns the evicted ids.
+async function evictCache(maxBytes, keepId = null) {
+  const rows = await cacheList();
+  let total = rows.reduce((s, r) => s + r.size, 0);
+  const evicted = [];
+  for (let i = rows.length - 1; i >= 0 && total > maxBytes; i--) {
+    if (rows[i].id === keepId) continue;
+    total -= rows[i].size;
+    evicted.push(rows[i].id);
+  }
+  if (evicted.length > 0) await cacheDelete(evicted);
+  return evicted;
+}
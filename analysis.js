@@ -0,0 +1,1182 @@
+// Per-lap analysis helpers for the lap analyzer
+// Pure functions over FIT-style lap and record messages
+
+// Longest gap between two samples still treated as continuous recording.
+// Anything longer (pauses, dropouts) only counts up to this many seconds.
+const MAX_SAMPLE_GAP = 10;
+
+// ── Sample timing ──
+
+function sortByTimestamp(records) {
+  return records
+    .filter((r) => r.timestamp != null)
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Seconds each sample represents: the delta to the next sample, and for the
+// last one the remaining time until endTime (or 1 s if unknown).
+function sampleDurations(records, endTime) {
+  return records.map((r, i) => {
+    const next = i + 1 < records.length ? records[i + 1].timestamp : endTime;
+    let dt = next != null ? next - r.timestamp : 1;
+    if (!isFinite(dt) || dt < 0) dt = 0;
+    return Math.min(dt, MAX_SAMPLE_GAP);
+  });
+}
+
+// ── Timer pauses & lap boundaries ──
+
+const TIMER_EVENT = 0;
+const TIMER_START = 0;
+const TIMER_STOPS = [1, 4, 8, 9]; // stop, stop_all, stop_disable, stop_disable_all
+const MOVING_SPEED = 0.5;         // m/s, slower samples count as standing still
+
+// Periods the timer was stopped, [{ start, end }], from the FIT event
+// messages (end is Infinity when the timer never restarted)
+function timerPauses(events) {
+  const pauses = [];
+  let stoppedAt = null;
+  const timer = sortByTimestamp((events || []).filter((e) => e.event === TIMER_EVENT));
+  for (const e of timer) {
+    if (TIMER_STOPS.includes(e.event_type) && stoppedAt == null) {
+      stoppedAt = e.timestamp;
+    } else if (e.event_type === TIMER_START && stoppedAt != null) {
+      if (e.timestamp > stoppedAt) pauses.push({ start: stoppedAt, end: e.timestamp });
+      stoppedAt = null;
+    }
+  }
+  if (stoppedAt != null) pauses.push({ start: stoppedAt, end: Infinity });
+  return pauses;
+}
+
+// Seconds of [from, to] spent with the timer stopped
+function pausedOverlap(pauses, from, to) {
+  return pauses.reduce((s, p) => s + Math.max(0, Math.min(to, p.end) - Math.max(from, p.start)), 0);
+}
+
+function isPaused(pauses, t) {
+  return pauses.some((p) => t > p.start && t < p.end);
+}
+
+// Records of a lap by time: [start_time, timestamp), plus the closing
+// sample for the last lap, without the samples taken while paused.
+// `sorted` must be ordered by timestamp.
+function lapRecordsByTime(sorted, lap, last, pauses) {
+  return sorted.filter((r) =>
+    r.timestamp >= lap.start_time &&
+    (r.timestamp < lap.timestamp || (last && r.timestamp === lap.timestamp)) &&
+    !isPaused(pauses, r.timestamp)
+  );
+}
+
+// Sample time with the timer running, counting only the samples `keep` accepts
+function timerTime(records, endTime, pauses, keep = () => true) {
+  const sorted = sortByTimestamp(records);
+  if (sorted.length === 0) return null;
+  const durations = sampleDurations(sorted, endTime);
+  let time = 0;
+  sorted.forEach((r, i) => {
+    if (keep(r)) time += durations[i] - pausedOverlap(pauses, r.timestamp, r.timestamp + durations[i]);
+  });
+  return time;
+}
+
+// Time spent moving: samples slower than MOVING_SPEED don't count when
+// speed is recorded (treadmills without a foot pod have none, so their
+// timer time is all moving time)
+function computeMovingTime(records, endTime, pauses) {
+  return timerTime(records, endTime, pauses, (r) => {
+    const speed = recordSpeed(r);
+    return speed == null || speed >= MOVING_SPEED;
+  });
+}
+
+// ── Heart rate cleaning ──
+
+const HR_LIMITS = [30, 230];  // bpm, physiologically possible
+const HR_MEDIAN_WINDOW = 7;   // samples on each side of the outlier median
+const HR_REANCHOR = 5;        // s of a steady new level before it's accepted
+const CADENCE_LOCK = 3;       // bpm from the cadence that counts as lock-in
+
+// Optical HR often locks onto the step (or pedal) rate
+function cadenceLocked(r) {
+  if (!(r.cadence > 0)) return false;
+  return Math.abs(r.heart_rate - r.cadence) <= CADENCE_LOCK ||
+    Math.abs(r.heart_rate - r.cadence * 2) <= CADENCE_LOCK;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[sorted.length >> 1];
+}
+
+// Copies of the records with implausible HR removed: out-of-range values,
+// outliers from the local median, and jumps faster than cfg.maxRate bpm/s
+// (a new level is accepted once it holds for HR_REANCHOR s, unless it sits
+// on the cadence). Rejected samples keep heart_rate_raw and get
+// hr_rejected; cfg.smoothing > 1 applies a median filter of that many
+// samples to what's left.
+function cleanHeartRate(records, cfg) {
+  const samples = sortByTimestamp(records).filter((r) => r.heart_rate > 0);
+  const keep = samples.map((r) => r.heart_rate >= HR_LIMITS[0] && r.heart_rate <= HR_LIMITS[1]);
+
+  samples.forEach((r, i) => {
+    if (!keep[i]) return;
+    const window = [];
+    for (let j = Math.max(0, i - HR_MEDIAN_WINDOW); j <= Math.min(samples.length - 1, i + HR_MEDIAN_WINDOW); j++) {
+      if (samples[j].heart_rate >= HR_LIMITS[0] && samples[j].heart_rate <= HR_LIMITS[1]) window.push(samples[j].heart_rate);
+    }
+    if (Math.abs(r.heart_rate - median(window)) > cfg.outlier) keep[i] = false;
+  });
+
+  let last = null;
+  let pending = []; // indices of a run of rejected jumps
+  const rate = (a, b) => Math.abs(b.heart_rate - a.heart_rate) / Math.max(b.timestamp - a.timestamp, 1);
+  samples.forEach((r, i) => {
+    if (!keep[i]) return;
+    // After a dropout there is nothing to compare with: start over.
+    // During a run of rejected jumps only a return to the last good level
+    // counts, so a held spike can't creep back in over several seconds.
+    const gap = i > 0 && r.timestamp - samples[i - 1].timestamp > MAX_SAMPLE_GAP;
+    const allowed = pending.length > 0 ? cfg.maxRate : cfg.maxRate * Math.max(r.timestamp - last?.timestamp, 1);
+    if (last == null || gap || Math.abs(r.heart_rate - last.heart_rate) <= allowed) {
+      last = r;
+      pending = [];
+      return;
+    }
+    keep[i] = false;
+    const prev = samples[pending[pending.length - 1]];
+    if (prev && rate(prev, r) > cfg.maxRate) pending = [];
+    pending.push(i);
+    const first = samples[pending[0]];
+    if (r.timestamp - first.timestamp >= HR_REANCHOR &&
+        pending.filter((k) => cadenceLocked(samples[k])).length < pending.length / 2) {
+      for (const k of pending) keep[k] = true;
+      last = r;
+      pending = [];
+    }
+  });
+
+  const cleaned = new Map();
+  const kept = samples.filter((_, i) => keep[i]);
+  const half = Math.floor((cfg.smoothing || 0) / 2);
+  kept.forEach((r, i) => {
+    const hr = half > 0
+      ? median(kept.slice(Math.max(0, i - half), i + half + 1).map((k) => k.heart_rate))
+      : r.heart_rate;
+    cleaned.set(r, hr);
+  });
+
+  return records.map((r) => {
+    if (!(r.heart_rate > 0)) return r;
+    if (cleaned.has(r)) return { ...r, heart_rate: cleaned.get(r) };
+    return { ...r, heart_rate: null, heart_rate_raw: r.heart_rate, hr_rejected: true };
+  });
+}
+
+// Share (%) of a lap's HR samples rejected by the cleaning and of its
+// timer time not covered by any HR sample. Null for activities without HR.
+function hrQuality(lapRecords, endTime, time, activityHasHr) {
+  const withHr = lapRecords.filter((r) => r.heart_rate > 0 || r.hr_rejected);
+  if (!activityHasHr || !(time > 0)) return null;
+  if (withHr.length === 0) return { rejected: 0, missing: 100 };
+  const kept = sortByTimestamp(lapRecords.filter((r) => r.heart_rate > 0));
+  const covered = sampleDurations(kept, endTime).reduce((s, d) => s + d, 0);
+  return {
+    rejected: (withHr.filter((r) => r.hr_rejected).length / withHr.length) * 100,
+    missing: Math.max(0, 1 - covered / time) * 100,
+  };
+}
+
+// ── Heart rate zones ──
+
+const HR_ZONE_COUNT = 5;
+
+// Bounds are the lower edges of Z2..Z5 in percent of the model's reference.
+// Samples below the Z2 edge count towards Z1.
+const HR_ZONE_MODELS = {
+  maxhr: { label: '% max HR', bounds: [60, 70, 80, 90] },
+  hrr:   { label: '% HR reserve', bounds: [60, 70, 80, 90] },
+  lthr:  { label: '% LTHR', bounds: [85, 90, 95, 100] },
+};
+
+// Convert zone settings into bpm thresholds (lower edges of Z2..Z5).
+// Returns null when the chosen model is missing its reference values.
+function hrZoneThresholds(zones) {
+  const model = HR_ZONE_MODELS[zones.model] ? zones.model : 'maxhr';
+  const bounds = (zones.bounds && zones.bounds[model]) || HR_ZONE_MODELS[model].bounds;
+
+  let toBpm;
+  if (model === 'hrr') {
+    if (!(zones.maxHR > zones.restHR) || !(zones.restHR > 0)) return null;
+    toBpm = (pct) => zones.restHR + (pct / 100) * (zones.maxHR - zones.restHR);
+  } else if (model === 'lthr') {
+    if (!(zones.lthr > 0)) return null;
+    toBpm = (pct) => (pct / 100) * zones.lthr;
+  } else {
+    if (!(zones.maxHR > 0)) return null;
+    toBpm = (pct) => (pct / 100) * zones.maxHR;
+  }
+  return bounds.map((pct) => Math.round(toBpm(pct)));
+}
+
+function hrZoneIndex(hr, thresholds) {
+  let zone = 0;
+  while (zone < thresholds.length && hr >= thresholds[zone]) zone++;
+  return zone;
+}
+
+// Seconds spent in each zone, weighting every HR sample by its real duration.
+function timeInHrZones(hrRecords, thresholds, endTime) {
+  const totals = new Array(HR_ZONE_COUNT).fill(0);
+  const sorted = sortByTimestamp(hrRecords);
+  const durations = sampleDurations(sorted, endTime);
+  sorted.forEach((r, i) => {
+    totals[hrZoneIndex(r.heart_rate, thresholds)] += durations[i];
+  });
+  return totals;
+}
+
+// Parse "60, 70, 80, 90" into four strictly increasing percentages.
+function parseZoneBounds(text) {
+  const values = String(text).split(/[\s,;]+/).filter(Boolean).map(Number);
+  if (values.length !== HR_ZONE_COUNT - 1) return null;
+  for (let i = 0; i < values.length; i++) {
+    if (!isFinite(values[i]) || values[i] <= 0) return null;
+    if (i > 0 && values[i] <= values[i - 1]) return null;
+  }
+  return values;
+}
+
+// ── Developer data fields ──
+
+// Units per developer field name, from the parsed field_description messages
+function devFieldUnits(fieldDescriptions) {
+  const units = {};
+  for (const d of fieldDescriptions || []) {
+    if (d.field_name) units[d.field_name] = d.units || '';
+  }
+  return units;
+}
+
+// Min/max/avg of every numeric developer field present in the records.
+// Returns null when no record carries developer data.
+function summarizeDevFields(records, units = {}) {
+  const acc = {};
+  for (const r of records) {
+    if (!r.dev_fields) continue;
+    for (const [name, v] of Object.entries(r.dev_fields)) {
+      if (typeof v !== 'number' || !isFinite(v)) continue;
+      const a = acc[name] || (acc[name] = { min: v, max: v, sum: 0, count: 0 });
+      if (v < a.min) a.min = v;
+      if (v > a.max) a.max = v;
+      a.sum += v;
+      a.count++;
+    }
+  }
+
+  const names = Object.keys(acc);
+  if (names.length === 0) return null;
+  const out = {};
+  for (const name of names) {
+    const a = acc[name];
+    out[name] = { min: a.min, max: a.max, avg: a.sum / a.count, units: units[name] || '' };
+  }
+  return out;
+}
+
+// ── Power ──
+
+// Rolling window for normalized power
+const NP_WINDOW = 30; // seconds
+
+// Resample a field to 1 Hz, holding each value for its (capped) duration
+function toOneHzSeries(records, key, endTime) {
+  const sorted = sortByTimestamp(records.filter((r) => r[key] != null));
+  const durations = sampleDurations(sorted, endTime);
+  const series = [];
+  let carry = 0;
+  sorted.forEach((r, i) => {
+    carry += durations[i];
+    while (carry >= 1) {
+      series.push(r[key]);
+      carry -= 1;
+    }
+  });
+  return series;
+}
+
+// NP: fourth-power mean of the 30 s rolling average, null for short efforts
+function normalizedPower(series) {
+  if (series.length < NP_WINDOW) return null;
+  let windowSum = 0;
+  let sum4 = 0;
+  let count = 0;
+  for (let i = 0; i < series.length; i++) {
+    windowSum += series[i];
+    if (i >= NP_WINDOW) windowSum -= series[i - NP_WINDOW];
+    if (i >= NP_WINDOW - 1) {
+      sum4 += Math.pow(windowSum / NP_WINDOW, 4);
+      count++;
+    }
+  }
+  return Math.pow(sum4 / count, 0.25);
+}
+
+// Avg/max/NP from raw power samples (lap summary as fallback), plus
+// intensity factor and TSS against cfg.ftp and W/kg against cfg.weight.
+function computePowerStats(records, lap, cfg) {
+  const samples = records.filter((r) => r.power != null);
+  let avg, max, np, duration;
+
+  if (samples.length > 0) {
+    const series = toOneHzSeries(samples, 'power', lap.timestamp);
+    avg = series.length > 0
+      ? series.reduce((s, v) => s + v, 0) / series.length
+      : samples.reduce((s, r) => s + r.power, 0) / samples.length;
+    max = Math.max(...samples.map((r) => r.power));
+    np = normalizedPower(series);
+    duration = lap.total_timer_time || series.length;
+  } else if (lap.avg_power != null) {
+    avg = lap.avg_power;
+    max = lap.max_power ?? null;
+    np = lap.normalized_power ?? null;
+    duration = lap.total_timer_time || 0;
+  } else {
+    return null;
+  }
+
+  const intensity = np != null && cfg.ftp > 0 ? np / cfg.ftp : null;
+  const tss = intensity != null
+    ? ((duration * np * intensity) / (cfg.ftp * 3600)) * 100
+    : null;
+  const wkg = cfg.weight > 0 ? avg / cfg.weight : null;
+
+  return { avg, max, np, intensity, tss, wkg };
+}
+
+// ── Cadence & running dynamics ──
+
+const RUNNING_DYNAMICS_FIELDS = [
+  'vertical_oscillation', 'stance_time', 'stance_time_balance', 'vertical_ratio', 'step_length',
+];
+
+// Sport name from the session (or sport) message, e.g. 'running'
+function activitySport(messages) {
+  const sport = messages.session?.[0]?.sport ?? messages.sport?.[0]?.sport;
+  return FIT_SPORTS[sport] || 'generic';
+}
+
+const FOOT_SPORTS = ['running', 'walking', 'hiking'];
+
+// Column profile of an activity: foot sports get pace and GAP, cycling
+// speed and power, swims pace per 100, strength/cardio sessions HR only
+function sportProfile(messages) {
+  const sport = activitySport(messages);
+  if (FOOT_SPORTS.includes(sport)) return 'running';
+  if (sport === 'cycling' || sport === 'swimming') return sport;
+  if (sport === 'training' || sport === 'fitness_equipment') return 'strength';
+  return 'other';
+}
+
+function summarizeValues(values) {
+  if (values.length === 0) return null;
+  let min = values[0];
+  let max = values[0];
+  let sum = 0;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+    sum += v;
+  }
+  return { min, max, avg: sum / values.length };
+}
+
+// Cadence in steps/min for running (FIT stores strides/min), rpm otherwise.
+// Zero samples (standing still, coasting) are ignored.
+function computeCadenceStats(records, running) {
+  const values = [];
+  for (const r of records) {
+    if (r.cadence == null) continue;
+    const c = r.cadence + (r.fractional_cadence || 0);
+    if (c > 0) values.push(running ? c * 2 : c);
+  }
+  return summarizeValues(values);
+}
+
+// Averages of the running dynamics fields present in the records
+function computeRunningDynamics(records) {
+  const out = {};
+  let found = false;
+  for (const key of RUNNING_DYNAMICS_FIELDS) {
+    const summary = summarizeValues(
+      records.map((r) => r[key]).filter((v) => v != null && v > 0)
+    );
+    out[key] = summary ? summary.avg : null;
+    if (summary) found = true;
+  }
+  return found ? out : null;
+}
+
+// ── Elevation & grade-adjusted pace ──
+
+const ALTITUDE_SMOOTHING = 5;    // samples in the centered moving average
+const ELEVATION_DEADBAND = 1;    // m, smaller climbs/drops are barometric noise
+const GRADE_SEGMENT = 10;        // m of distance per grade estimate
+const MAX_GRADE = 0.45;          // validity range of the energy cost model
+
+function recordAltitude(r) {
+  return r.enhanced_altitude ?? r.altitude ?? null;
+}
+
+function smoothSeries(values, window) {
+  const half = Math.floor(window / 2);
+  return values.map((_, i) => {
+    const from = Math.max(0, i - half);
+    const to = Math.min(values.length - 1, i + half);
+    let sum = 0;
+    for (let k = from; k <= to; k++) sum += values[k];
+    return sum / (to - from + 1);
+  });
+}
+
+// Energy cost of running (J/kg/m) on a gradient given as a fraction.
+// Minetti et al. (2002), J Appl Physiol 93:1039-1046.
+function runningEnergyCost(grade) {
+  const i = Math.max(-MAX_GRADE, Math.min(MAX_GRADE, grade));
+  return 155.4 * i ** 5 - 30.4 * i ** 4 - 43.3 * i ** 3 + 46.3 * i ** 2 + 19.5 * i + 3.6;
+}
+
+// Ascent, descent and net grade from smoothed altitude, plus grade-adjusted
+// pace: avgPace scaled by the flat-equivalent distance of every segment.
+function computeElevationStats(records, avgPace, adjustPace = true) {
+  const sorted = sortByTimestamp(records).filter((r) => recordAltitude(r) != null);
+  if (sorted.length < 2) return null;
+  const alt = smoothSeries(sorted.map(recordAltitude), ALTITUDE_SMOOTHING);
+
+  let ascent = 0;
+  let descent = 0;
+  let ref = alt[0];
+  for (const a of alt) {
+    if (a - ref >= ELEVATION_DEADBAND) {
+      ascent += a - ref;
+      ref = a;
+    } else if (ref - a >= ELEVATION_DEADBAND) {
+      descent += ref - a;
+      ref = a;
+    }
+  }
+
+  let rawDist = 0;
+  let flatDist = 0;
+  let first = -1;
+  let segStart = -1;
+  let last = -1;
+  const flatCost = runningEnergyCost(0);
+  for (let i = 0; i < sorted.length; i++) {
+    if (sorted[i].distance == null) continue;
+    if (first < 0) first = segStart = i;
+    last = i;
+    const d = sorted[i].distance - sorted[segStart].distance;
+    if (d < 0) {
+      segStart = i;
+    } else if (d >= GRADE_SEGMENT) {
+      const grade = (alt[i] - alt[segStart]) / d;
+      rawDist += d;
+      flatDist += d * (runningEnergyCost(grade) / flatCost);
+      segStart = i;
+    }
+  }
+
+  const span = first >= 0 ? sorted[last].distance - sorted[first].distance : 0;
+  const grade = span > 0 ? ((alt[last] - alt[first]) / span) * 100 : null;
+  const gap = adjustPace && avgPace != null && rawDist > 0 && flatDist > 0
+    ? avgPace * (rawDist / flatDist)
+    : null;
+
+  return { ascent, descent, grade, gap };
+}
+
+// ── Virtual laps ──
+
+// Lap message covering records[from..to], shaped like a device lap
+function virtualLap(sorted, from, to) {
+  const a = sorted[from];
+  const b = sorted[to];
+  const timer = sampleDurations(sorted.slice(from, to), b.timestamp).reduce((s, d) => s + d, 0);
+  const lap = {
+    start_time: a.timestamp,
+    timestamp: b.timestamp,
+    total_elapsed_time: b.timestamp - a.timestamp,
+    total_timer_time: timer,
+    total_distance: a.distance != null && b.distance != null ? b.distance - a.distance : 0,
+    virtual: true,
+  };
+  if (a.distance != null) lap.start_distance = a.distance;
+  return lap;
+}
+
+// Split the record stream every `step` units of `key` ('distance' in m or
+// 'timestamp' in s). The last, partial lap is kept.
+function splitRecordsEvery(records, key, step) {
+  const sorted = sortByTimestamp(records).filter((r) => r[key] != null);
+  if (sorted.length < 2 || !(step > 0)) return [];
+
+  const laps = [];
+  let start = 0;
+  let boundary = sorted[0][key] + step;
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i][key] >= boundary) {
+      laps.push(virtualLap(sorted, start, i));
+      start = i;
+      while (boundary <= sorted[i][key]) boundary += step;
+    }
+  }
+  if (start < sorted.length - 1) laps.push(virtualLap(sorted, start, sorted.length - 1));
+  return laps;
+}
+
+// Single lap over [from, to] of `key`, measured from the first record
+function splitRecordsRange(records, key, from, to) {
+  const sorted = sortByTimestamp(records).filter((r) => r[key] != null);
+  if (sorted.length < 2 || !(to > from)) return [];
+
+  const origin = sorted[0][key];
+  const first = sorted.findIndex((r) => r[key] - origin >= from);
+  let last = -1;
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    if (sorted[i][key] - origin <= to) {
+      last = i;
+      break;
+    }
+  }
+  if (first < 0 || last <= first) return [];
+  return [virtualLap(sorted, first, last)];
+}
+
+// split: { mode: 'distance' | 'time' | 'range' | 'auto', every, from, to, basis }
+// Distances are in meters, times in seconds.
+function buildVirtualLaps(records, split) {
+  if (split.mode === 'auto') return detectIntervalLaps(records);
+  if (split.mode === 'distance') return splitRecordsEvery(records, 'distance', split.every);
+  if (split.mode === 'time') return splitRecordsEvery(records, 'timestamp', split.every);
+  if (split.mode === 'range') {
+    const key = split.basis === 'time' ? 'timestamp' : 'distance';
+    return splitRecordsRange(records, key, split.from, split.to);
+  }
+  return [];
+}
+
+// ── Interval detection ──
+
+const MIN_INTENSITY_CONTRAST = 0.1; // relative gap between work and easy levels
+const MIN_SEGMENT = 30;             // s, shorter auto-detected segments are merged
+const SPEED_SMOOTHING = 15;         // samples
+
+function recordSpeed(r) {
+  return r.enhanced_speed ?? r.speed ?? null;
+}
+
+// 1-D two-means: the threshold separating an easy and a hard level,
+// or null when the two levels are too close to call it intervals.
+function intensityThreshold(values) {
+  const valid = values.filter((v) => v != null && isFinite(v));
+  if (valid.length < 2) return null;
+  let t = valid.reduce((s, v) => s + v, 0) / valid.length;
+  let lo = 0;
+  let hi = 0;
+  for (let iter = 0; iter < 20; iter++) {
+    const low = valid.filter((v) => v < t);
+    const high = valid.filter((v) => v >= t);
+    if (low.length === 0 || high.length === 0) return null;
+    lo = low.reduce((s, v) => s + v, 0) / low.length;
+    hi = high.reduce((s, v) => s + v, 0) / high.length;
+    const next = (lo + hi) / 2;
+    if (Math.abs(next - t) < 1e-9) break;
+    t = next;
+  }
+  return hi > 0 && (hi - lo) / hi >= MIN_INTENSITY_CONTRAST ? t : null;
+}
+
+// Speed per lap if distances are known, else avg power, else avg HR
+function lapIntensities(stats) {
+  if (stats.filter((s) => s.totalDistance > 0 && s.elapsedTime > 0).length >= stats.length / 2) {
+    return stats.map((s) => (s.totalDistance > 0 && s.elapsedTime > 0 ? s.totalDistance / s.elapsedTime : null));
+  }
+  if (stats.some((s) => s.power)) return stats.map((s) => s.power?.avg ?? null);
+  return stats.map((s) => s.avgHR ?? null);
+}
+
+// Label each lap 'warmup' | 'work' | 'recovery' | 'cooldown'.
+// Returns null when the laps show no work/easy structure.
+function classifyLaps(stats) {
+  const intensity = lapIntensities(stats);
+  const threshold = intensityThreshold(intensity);
+  if (threshold == null) return null;
+
+  const work = intensity.map((v) => v != null && v >= threshold);
+  const firstWork = work.indexOf(true);
+  const lastWork = work.lastIndexOf(true);
+  return work.map((isWork, i) => {
+    if (isWork) return 'work';
+    if (i < firstWork) return 'warmup';
+    if (i > lastWork) return 'cooldown';
+    return 'recovery';
+  });
+}
+
+function roundTo(v, step) {
+  return Math.round(v / step) * step;
+}
+
+function repDistanceLabel(meters) {
+  if (meters < 1000) return `${roundTo(meters, 50)}m`;
+  const km = roundTo(meters, 100) / 1000;
+  return `${Number.isInteger(km) ? km : km.toFixed(1)}km`;
+}
+
+function repTimeLabel(seconds) {
+  const t = roundTo(seconds, 5);
+  return `${Math.floor(t / 60)}:${(t % 60).toString().padStart(2, '0')}`;
+}
+
+function similar(values, tolerance) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return min > 0 && (max - min) / max <= tolerance;
+}
+
+// Group consecutive, similar work laps into sets ("6×800m", "4×3:00").
+// Returns [{ type, label, indices }] covering every lap once.
+function groupIntervals(stats, types) {
+  const groups = [];
+  const push = (type, label, indices) => groups.push({ type, label, indices });
+  const labels = { warmup: 'Warm-up', recovery: 'Recoveries', cooldown: 'Cool-down' };
+  const easy = { warmup: [], recovery: [], cooldown: [] };
+
+  let set = [];
+  const closeSet = () => {
+    if (set.length === 0) return;
+    const dists = set.map((i) => stats[i].totalDistance);
+    const times = set.map((i) => stats[i].elapsedTime);
+    let rep;
+    if (similar(dists, 0.1)) rep = repDistanceLabel(dists.reduce((s, v) => s + v, 0) / dists.length);
+    else if (similar(times, 0.1)) rep = repTimeLabel(times.reduce((s, v) => s + v, 0) / times.length);
+    push('work', rep ? `${set.length}×${rep}` : `${set.length} reps`, set);
+    set = [];
+  };
+
+  types.forEach((type, i) => {
+    if (type !== 'work') {
+      easy[type].push(i);
+      return;
+    }
+    // A rep that differs from the current set starts a new one
+    if (set.length > 0) {
+      const prev = stats[set[set.length - 1]];
+      const cur = stats[i];
+      const sameDist = similar([prev.totalDistance, cur.totalDistance], 0.1);
+      const sameTime = similar([prev.elapsedTime, cur.elapsedTime], 0.1);
+      if (!sameDist && !sameTime) closeSet();
+    }
+    set.push(i);
+  });
+  closeSet();
+
+  for (const type of ['warmup', 'recovery', 'cooldown']) {
+    if (easy[type].length > 0) push(type, labels[type], easy[type]);
+  }
+  return groups.sort((a, b) => a.indices[0] - b.indices[0]);
+}
+
+// Totals and averages over a set of lap stats, for group summary rows
+function aggregateLaps(stats) {
+  const totalDistance = stats.reduce((s, l) => s + (l.totalDistance || 0), 0);
+  const elapsedTime = stats.reduce((s, l) => s + (l.elapsedTime || 0), 0);
+  const minHRs = stats.map((l) => l.minHR).filter((v) => v != null);
+  const maxHRs = stats.map((l) => l.maxHR).filter((v) => v != null);
+  const hrLaps = stats.filter((l) => l.avgHR != null && l.elapsedTime > 0);
+  const hrTime = hrLaps.reduce((s, l) => s + l.elapsedTime, 0);
+  return {
+    laps: stats.length,
+    totalDistance,
+    elapsedTime,
+    avgPace: totalDistance > 0 && elapsedTime > 0 ? (elapsedTime / totalDistance) * 1000 : null,
+    minHR: minHRs.length ? Math.min(...minHRs) : null,
+    maxHR: maxHRs.length ? Math.max(...maxHRs) : null,
+    avgHR: hrTime > 0 ? Math.round(hrLaps.reduce((s, l) => s + l.avgHR * l.elapsedTime, 0) / hrTime) : null,
+  };
+}
+
+// Auto-detected work/easy segments from the speed (or power) stream,
+// as virtual laps. Used for activities recorded without lap presses.
+function detectIntervalLaps(records) {
+  let key = 'speed';
+  let sorted = sortByTimestamp(records).filter((r) => recordSpeed(r) != null);
+  if (sorted.length < 2) {
+    key = 'power';
+    sorted = sortByTimestamp(records).filter((r) => r.power != null);
+  }
+  if (sorted.length < 2) return [];
+
+  const raw = sorted.map((r) => (key === 'speed' ? recordSpeed(r) : r.power));
+  const smooth = smoothSeries(raw, SPEED_SMOOTHING);
+  const threshold = intensityThreshold(smooth);
+  if (threshold == null) return [];
+
+  // Raw segments of constant state
+  const segments = [];
+  let start = 0;
+  for (let i = 1; i <= sorted.length; i++) {
+    if (i === sorted.length || (smooth[i] >= threshold) !== (smooth[start] >= threshold)) {
+      segments.push({ from: start, to: Math.min(i, sorted.length - 1), work: smooth[start] >= threshold });
+      start = i;
+    }
+  }
+
+  // Merge segments that are too short (and then same-state neighbours)
+  // into their predecessor
+  const merged = [];
+  for (const seg of segments) {
+    const duration = sorted[seg.to].timestamp - sorted[seg.from].timestamp;
+    const last = merged[merged.length - 1];
+    if (last && (duration < MIN_SEGMENT || seg.work === last.work)) {
+      last.to = seg.to;
+    } else {
+      merged.push({ ...seg });
+    }
+  }
+  return merged
+    .filter((seg) => seg.to > seg.from)
+    .map((seg) => virtualLap(sorted, seg.from, seg.to));
+}
+
+// ── Swimming ──
+
+const SWIM_STROKES = { 0: 'Free', 1: 'Back', 2: 'Breast', 3: 'Fly', 4: 'Drill', 5: 'Mixed', 6: 'IM' };
+const SWIM_MIXED = 5;
+const LENGTH_IDLE = 0; // length_type of rest inside an interval
+const YARD = 0.9144;   // m
+
+// Pool length unit of the session, used for distances and pace per 100
+function swimUnit(messages) {
+  return messages.session?.[0]?.pool_length_unit === 1
+    ? { label: 'yd', meters: YARD }
+    : { label: 'm', meters: 1 };
+}
+
+// Length messages of a lap: by the lap's length index range when present,
+// else by start time
+function lapLengths(lap, lengths) {
+  if (lap.first_length_index != null && lap.num_lengths != null) {
+    return lengths.slice(lap.first_length_index, lap.first_length_index + lap.num_lengths);
+  }
+  if (lap.start_time == null || lap.timestamp == null) return [];
+  return lengths.filter((l) => l.start_time >= lap.start_time && l.start_time < lap.timestamp);
+}
+
+// Per-interval swim stats: lengths, stroke, strokes, SWOLF (length time +
+// strokes, averaged over the active lengths) and pace per 100 pool units.
+// Laps without distance or active lengths are rest intervals.
+function computeSwimStats(lap, lengths, unit) {
+  const own = lapLengths(lap, lengths || []);
+  const active = own.filter((l) => l.length_type !== LENGTH_IDLE);
+  const activeCount = lap.num_active_lengths ?? (own.length > 0 ? active.length : null);
+  const distance = lap.total_distance || 0;
+  const time = lap.total_timer_time || 0;
+
+  const strokeTypes = new Set(active.map((l) => l.swim_stroke).filter((v) => v != null));
+  const stroke = lap.swim_stroke ?? (strokeTypes.size > 1 ? SWIM_MIXED : Array.from(strokeTypes)[0]);
+  const lengthStrokes = active.map((l) => l.total_strokes).filter((v) => v != null);
+  const strokes = lap.total_cycles ?? (lengthStrokes.length > 0 ? lengthStrokes.reduce((s, v) => s + v, 0) : null);
+  const swolfs = active
+    .filter((l) => l.total_timer_time > 0 && l.total_strokes != null)
+    .map((l) => l.total_timer_time + l.total_strokes);
+
+  return {
+    rest: distance === 0 || activeCount === 0,
+    lengths: activeCount,
+    stroke: SWIM_STROKES[stroke] ?? null,
+    strokes,
+    swolf: swolfs.length > 0 ? swolfs.reduce((s, v) => s + v, 0) / swolfs.length : null,
+    pace100: distance > 0 && time > 0 ? (time / (distance / unit.meters)) * 100 : null,
+    lengthList: own.map((l) => ({
+      rest: l.length_type === LENGTH_IDLE,
+      stroke: SWIM_STROKES[l.swim_stroke] ?? null,
+      time: l.total_timer_time ?? null,
+      strokes: l.total_strokes ?? null,
+    })),
+  };
+}
+
+// ── Heart rate recovery ──
+
+const HRR_OFFSETS = [30, 60, 120]; // s after the end of the lap
+const HRR_SEARCH_WINDOW = 300;     // s to look for the drop below threshold
+const HR_SNAP = 5;                 // s, max distance to a lone neighbouring sample
+
+// HR at time t from a timestamp-sorted HR timeline: interpolated between
+// neighbours over normal sampling gaps, null inside pauses/dropouts.
+function hrAt(timeline, t) {
+  let lo = 0;
+  let hi = timeline.length - 1;
+  if (hi < 0 || t < timeline[0].timestamp - HR_SNAP || t > timeline[hi].timestamp + HR_SNAP) return null;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (timeline[mid].timestamp <= t) lo = mid;
+    else hi = mid;
+  }
+  const a = timeline[lo];
+  const b = timeline[hi];
+  if (a.timestamp === t) return a.heart_rate;
+  if (b.timestamp === t) return b.heart_rate;
+  if (a.timestamp < t && t < b.timestamp && b.timestamp - a.timestamp <= MAX_SAMPLE_GAP) {
+    const f = (t - a.timestamp) / (b.timestamp - a.timestamp);
+    return a.heart_rate + f * (b.heart_rate - a.heart_rate);
+  }
+  if (Math.abs(t - a.timestamp) <= HR_SNAP) return a.heart_rate;
+  if (Math.abs(b.timestamp - t) <= HR_SNAP) return b.heart_rate;
+  return null;
+}
+
+// HR drop 30/60/120 s after endTime and the time until HR first falls
+// below `threshold`, using samples past the end of the lap.
+function computeHrRecovery(timeline, endTime, threshold) {
+  if (endTime == null) return null;
+  const endHR = hrAt(timeline, endTime);
+  if (endHR == null) return null;
+
+  const drops = {};
+  for (const offset of HRR_OFFSETS) {
+    const hr = hrAt(timeline, endTime + offset);
+    drops[offset] = hr != null ? endHR - hr : null;
+  }
+
+  let timeToThreshold = null;
+  if (threshold > 0) {
+    if (endHR < threshold) {
+      timeToThreshold = 0;
+    } else {
+      for (const r of timeline) {
+        if (r.timestamp <= endTime) continue;
+        if (r.timestamp > endTime + HRR_SEARCH_WINDOW) break;
+        if (r.heart_rate < threshold) {
+          timeToThreshold = r.timestamp - endTime;
+          break;
+        }
+      }
+    }
+  }
+
+  return { endHR, drops, timeToThreshold };
+}
+
+// ── Heart rate variability (RR intervals) ──
+
+const HRV_RESYNC = 5;          // s of drift before beats are re-anchored to the message time
+const RR_RANGE = [300, 2000];  // ms, physiologically plausible RR intervals
+const RR_MAX_DEVIATION = 0.2;  // relative to the local median
+const RR_MEDIAN_WINDOW = 5;    // beats on each side of the local median
+const DFA_MIN_BEATS = 200;     // ~2 min of beats for a usable DFA alpha1
+const DFA_SCALES = [4, 16];    // box sizes (beats) of the short-term exponent
+
+// Beat-to-beat timeline from hrv messages: [{ time, rr (ms), artifact }],
+// where time is the end of the beat. The RR intervals are summed from the
+// preceding message's timestamp and re-anchored to it whenever they drift
+// (pauses, dropped beats).
+function hrvBeats(hrvMessages) {
+  const beats = [];
+  let t = null;
+  for (const msg of hrvMessages || []) {
+    const anchor = msg.last_timestamp;
+    if (t == null || (anchor != null && Math.abs(t - anchor) > HRV_RESYNC)) t = anchor ?? null;
+    if (t == null) continue;
+    for (const rr of [].concat(msg.time)) {
+      if (rr == null || !(rr > 0)) continue;
+      t += rr;
+      beats.push({ time: t, rr: rr * 1000, artifact: false });
+    }
+  }
+  flagRrArtifacts(beats);
+  return beats;
+}
+
+// Out-of-range beats and beats far from the local median (missed or extra
+// beats from strap contact problems)
+function flagRrArtifacts(beats) {
+  beats.forEach((b, i) => {
+    if (b.rr < RR_RANGE[0] || b.rr > RR_RANGE[1]) {
+      b.artifact = true;
+      return;
+    }
+    const window = beats
+      .slice(Math.max(0, i - RR_MEDIAN_WINDOW), i + RR_MEDIAN_WINDOW + 1)
+      .map((n) => n.rr)
+      .sort((a, c) => a - c);
+    const median = window[window.length >> 1];
+    b.artifact = Math.abs(b.rr - median) > median * RR_MAX_DEVIATION;
+  });
+}
+
+// Short-term scaling exponent of detrended fluctuation analysis
+// (~0.75 at the aerobic threshold, ~0.5 at the anaerobic threshold)
+function dfaAlpha1(rr) {
+  const mean = rr.reduce((s, v) => s + v, 0) / rr.length;
+  const profile = [];
+  let sum = 0;
+  for (const v of rr) profile.push((sum += v - mean));
+
+  const points = [];
+  for (let n = DFA_SCALES[0]; n <= DFA_SCALES[1]; n++) {
+    const boxes = Math.floor(profile.length / n);
+    if (boxes < 1) break;
+    let residuals = 0;
+    for (let b = 0; b < boxes; b++) {
+      const y = profile.slice(b * n, (b + 1) * n);
+      const fit = linearFit(y.map((_, x) => x), y);
+      y.forEach((v, x) => (residuals += (v - (fit.intercept + fit.slope * x)) ** 2));
+    }
+    points.push([Math.log(n), Math.log(Math.sqrt(residuals / (boxes * n)))]);
+  }
+  if (points.length < 2) return null;
+  return linearFit(points.map((p) => p[0]), points.map((p) => p[1])).slope;
+}
+
+function linearFit(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((s, v) => s + v, 0) / n;
+  const my = ys.reduce((s, v) => s + v, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+  }
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  return { slope, intercept: my - slope * mx };
+}
+
+// RMSSD, SDNN and mean RR (ms) of the clean beats ending in [start, end],
+// the share of artifacts and, for long enough laps, DFA alpha1
+function computeHrvStats(beats, start, end) {
+  if (!beats?.length || start == null || end == null) return null;
+  const lapBeats = beats.filter((b) => b.time > start && b.time <= end);
+  const clean = lapBeats.filter((b) => !b.artifact);
+  if (clean.length < 2) return null;
+
+  const rr = clean.map((b) => b.rr);
+  const meanRR = rr.reduce((s, v) => s + v, 0) / rr.length;
+  const sdnn = Math.sqrt(rr.reduce((s, v) => s + (v - meanRR) ** 2, 0) / (rr.length - 1));
+
+  // Successive differences only between neighbouring clean beats
+  const diffs = [];
+  for (let i = 1; i < lapBeats.length; i++) {
+    if (!lapBeats[i].artifact && !lapBeats[i - 1].artifact) diffs.push(lapBeats[i].rr - lapBeats[i - 1].rr);
+  }
+  const rmssd = diffs.length > 0 ? Math.sqrt(diffs.reduce((s, d) => s + d * d, 0) / diffs.length) : null;
+
+  return {
+    beats: lapBeats.length,
+    meanRR,
+    rmssd,
+    sdnn,
+    artifacts: ((lapBeats.length - clean.length) / lapBeats.length) * 100,
+    alpha1: clean.length >= DFA_MIN_BEATS ? dfaAlpha1(rr) : null,
+  };
+}
+
+// ── Efficiency & aerobic decoupling ──
+
+const MIN_DECOUPLING_TIME = 300; // s of paired HR + output samples
+
+// Output per sample: power if the activity has it, else speed in m/min
+function outputKey(records) {
+  return records.some((r) => r.power != null) ? 'power' : 'speed';
+}
+
+function recordOutput(r, key) {
+  if (key === 'power') return r.power ?? null;
+  const v = recordSpeed(r);
+  return v != null ? v * 60 : null;
+}
+
+// Efficiency factor of a lap: NP (or avg power) per beat, or m/min per beat
+function efficiencyFactor(stat) {
+  if (!(stat.avgHR > 0)) return null;
+  if (stat.power) return (stat.power.np ?? stat.power.avg) / stat.avgHR;
+  if (stat.totalDistance > 0 && stat.elapsedTime > 0) {
+    return ((stat.totalDistance / stat.elapsedTime) * 60) / stat.avgHR;
+  }
+  return null;
+}
+
+// Pa:HR (or Pw:HR) decoupling: output-to-HR ratio of the first half of the
+// recorded time vs the second half. Positive = efficiency got worse.
+function computeDecoupling(records) {
+  const key = outputKey(records);
+  const paired = sortByTimestamp(records).filter(
+    (r) => r.heart_rate > 0 && recordOutput(r, key) != null
+  );
+  const durations = sampleDurations(paired, null);
+  const total = durations.reduce((s, d) => s + d, 0);
+  if (total < MIN_DECOUPLING_TIME) return null;
+
+  const halves = [
+    { time: 0, output: 0, hr: 0 },
+    { time: 0, output: 0, hr: 0 },
+  ];
+  let elapsed = 0;
+  paired.forEach((r, i) => {
+    const h = halves[elapsed < total / 2 ? 0 : 1];
+    h.time += durations[i];
+    h.output += recordOutput(r, key) * durations[i];
+    h.hr += r.heart_rate * durations[i];
+    elapsed += durations[i];
+  });
+
+  const [first, second] = halves.map((h) => ({
+    output: h.output / h.time,
+    hr: h.hr / h.time,
+    ef: h.output / h.hr,
+  }));
+  return {
+    key,
+    first,
+    second,
+    decoupling: ((first.ef - second.ef) / first.ef) * 100,
+    hrDrift: ((second.hr - first.hr) / first.hr) * 100,
+  };
+}
+
+// ── Structured workout targets ──
+
+const WKT_DURATIONS = { 0: 'time', 1: 'distance', 2: 'hr_less', 3: 'hr_greater', 5: 'open' };
+const WKT_TARGETS = { 0: 'speed', 1: 'heart_rate', 3: 'cadence', 4: 'power' };
+const WKT_INTENSITIES = ['Active', 'Rest', 'Warm-up', 'Cool-down', 'Recovery', 'Interval', 'Other'];
+const MESSAGE_INDEX_MASK = 0x0FFF;
+
+// Planned workout_step of a lap, via the lap's wkt_step_index
+function workoutStep(lap, steps) {
+  if (lap.wkt_step_index == null || !steps?.length) return null;
+  const index = lap.wkt_step_index & MESSAGE_INDEX_MASK;
+  return steps.find((s) => s.message_index != null && (s.message_index & MESSAGE_INDEX_MASK) === index) ??
+    steps[index] ?? null;
+}
+
+// HR targets: bpm + 100, or % of max HR when 100 or less
+function workoutHr(value, maxHR) {
+  return value > 100 ? value - 100 : (value / 100) * maxHR;
+}
+
+// Power targets: W + 1000, or % of FTP when 1000 or less
+function workoutPower(value, ftp) {
+  return value > 1000 ? value - 1000 : (value / 100) * ftp;
+}
+
+// Planned duration of a step: { type, value } in s, m or bpm
+function stepDuration(step, cfg) {
+  const type = WKT_DURATIONS[step.duration_type];
+  if (!type || type === 'open' || step.duration_value == null) return type ? { type, value: null } : null;
+  if (type === 'time') return { type, value: step.duration_value / 1000 };
+  if (type === 'distance') return { type, value: step.duration_value / 100 };
+  return { type, value: workoutHr(step.duration_value, cfg.maxHR) };
+}
+
+// Target range of a step: { type, low, high, zone } with speed in m/s,
+// HR in bpm, power in W and cadence in rpm/spm. Zone targets are resolved
+// with the configured HR zones; power zones have no range.
+function stepTarget(step, cfg) {
+  const type = WKT_TARGETS[step.target_type];
+  if (!type) return null;
+  const lo = step.custom_target_value_low;
+  const hi = step.custom_target_value_high;
+  if (!(lo > 0) && !(hi > 0)) {
+    const zone = step.target_value;
+    if (!(zone > 0)) return null;
+    if (type === 'heart_rate' && cfg.zoneThresholds) {
+      const t = cfg.zoneThresholds;
+      return { type, zone, low: zone > 1 ? t[zone - 2] : 0, high: zone <= t.length ? t[zone - 1] - 1 : Infinity };
+    }
+    return { type, zone, low: null, high: null };
+  }
+  const convert = {
+    speed: (v) => v / 1000,
+    heart_rate: (v) => workoutHr(v, cfg.maxHR),
+    power: (v) => workoutPower(v, cfg.ftp),
+    cadence: (v) => v,
+  }[type];
+  return { type, zone: null, low: lo > 0 ? convert(lo) : 0, high: hi > 0 ? convert(hi) : Infinity };
+}
+
+function targetValue(r, type, running) {
+  if (type === 'speed') return recordSpeed(r);
+  if (type === 'heart_rate') return r.heart_rate > 0 ? r.heart_rate : null;
+  if (type === 'power') return r.power ?? null;
+  if (r.cadence == null) return null;
+  const c = r.cadence + (r.fractional_cadence || 0);
+  return running ? c * 2 : c;
+}
+
+// Share (%) of the lap's measured time inside the target range
+function targetCompliance(records, target, endTime, running) {
+  if (!target || target.low == null) return null;
+  const samples = sortByTimestamp(records).filter((r) => targetValue(r, target.type, running) != null);
+  if (samples.length === 0) return null;
+  const durations = sampleDurations(samples, endTime);
+  let total = 0;
+  let inside = 0;
+  samples.forEach((r, i) => {
+    const v = targetValue(r, target.type, running);
+    total += durations[i];
+    if (v >= target.low && v <= target.high) inside += durations[i];
+  });
+  return total > 0 ? (inside / total) * 100 : null;
+}
+
+// Plan vs execution of a lap run from a structured workout
+function computeWorkoutStep(lap, records, steps, cfg) {
+  const step = workoutStep(lap, steps);
+  if (!step) return null;
+  const target = stepTarget(step, cfg);
+  return {
+    name: step.wkt_step_name || WKT_INTENSITIES[step.intensity] || `Step ${(step.message_index ?? 0) + 1}`,
+    intensity: WKT_INTENSITIES[step.intensity] ?? null,
+    duration: stepDuration(step, cfg),
+    target,
+    inRange: targetCompliance(records, target, lap.timestamp, cfg.running),
+  };
+}
+
+// ── Workout comparison ──
+
+const ALIGN_MIN_TOLERANCE = 100; // m of start-distance drift between sessions
+const ALIGN_TOLERANCE = 0.25;    // relative to lap length
+
+// Ordinal of a lap among the laps of the same type ("3rd work rep")
+function lapOrdinal(stats, stat) {
+  return stats.filter((s) => s.lapType === stat.lapType).indexOf(stat);
+}
+
+// Match laps of `base` to laps of another session of the same workout.
+// 'index' pairs laps by position (work reps rep by rep when both sides are
+// classified), 'distance' by the closest start distance of a similar lap.
+// Returns the matched stat (or null) for each lap in `rows`.
+function alignLaps(rows, base, other, mode) {
+  if (mode === 'distance') {
+    return rows.map((row) => {
+      const tolerance = Math.max(ALIGN_MIN_TOLERANCE, row.totalDistance * ALIGN_TOLERANCE);
+      let best = null;
+      for (const o of other) {
+        const diff = Math.abs(o.startDistance - row.startDistance);
+        if (diff > tolerance || !similar([row.totalDistance, o.totalDistance], ALIGN_TOLERANCE)) continue;
+        if (!best || diff < Math.abs(best.startDistance - row.startDistance)) best = o;
+      }
+      return best;
+    });
+  }
+  const byType = other.some((s) => s.lapType);
+  return rows.map((row) => {
+    if (!row.lapType || !byType) return other[base.indexOf(row)] || null;
+    return other.filter((s) => s.lapType === row.lapType)[lapOrdinal(base, row)] || null;
+  });
+}
@@ -0,0 +1,15 @@
+// Service worker: the toolbar button opens the local file analyzer
+chrome.action.onClicked.addListener(() => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('analyze.html') });
+});
+
+// Activity cache requests from content scripts, run in the extension's origin
+importScripts('activity-cache.js');
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== 'GLA_CACHE' || !Object.hasOwn(CACHE_OPS, message.op)) return false;
+  cacheCall(message.op, ...(message.args || []))
+    .then((result) => sendResponse({ result }))
+    .catch((e) => sendResponse({ error: e.message }));
+  return true; // respond asynchronously
+});
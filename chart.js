@@ -0,0 +1,320 @@
+// Dependency-free SVG charts for the analyzer panel: per-lap time series
+// (HR, pace, power) and the offline route map. Knows nothing about units
+// or settings.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_HEIGHT = 220;
+const CHART_PAD = { top: 12, right: 44, bottom: 24, left: 40 };
+const CHART_MAX_POINTS = 1500; // per series, across all laps
+const LAP_COLORS = ['#1a73e8', '#d93025', '#188038', '#f9ab00', '#a142f4', '#12b5cb', '#e8710a', '#5f6368'];
+const SERIES_DASH = ['', '6 3', '2 3']; // solid, dashed, dotted
+
+function svgEl(tag, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+  return el;
+}
+
+function seriesRange(laps, s) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const lap of laps) {
+    for (const r of lap.records) {
+      const v = s.value(r);
+      if (v == null || !isFinite(v)) continue;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  }
+  if (min === Infinity) return null;
+  if (max - min < 1e-6) {
+    min -= 1;
+    max += 1;
+  }
+  const pad = (max - min) * 0.05;
+  return { min: min - pad, max: max + pad };
+}
+
+function formatClock(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = Math.round(seconds % 60);
+  return `${m}:${s.toString().padStart(2, '0')}`;
+}
+
+// Nearest record to time t (records sorted by timestamp)
+function nearestRecord(records, t) {
+  let lo = 0;
+  let hi = records.length - 1;
+  if (hi < 0) return null;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (records[mid].timestamp <= t) lo = mid;
+    else hi = mid;
+  }
+  return Math.abs(records[lo].timestamp - t) <= Math.abs(records[hi].timestamp - t)
+    ? records[lo]
+    : records[hi];
+}
+
+// laps:   [{ label, start, end, records }] with records sorted by timestamp
+// series: [{ key, label, color, value(r), format(v), invert, markMin }]
+// opts:   { overlay } — overlay aligns every lap to its own start
+function renderLapChart(container, laps, series, opts = {}) {
+  container.innerHTML = '';
+  const active = series
+    .map((s) => ({ ...s, range: seriesRange(laps, s) }))
+    .filter((s) => s.range);
+  if (laps.length === 0 || active.length === 0) {
+    container.style.display = 'none';
+    return;
+  }
+  container.style.display = 'block';
+
+  const width = container.clientWidth || 600;
+  const plotW = width - CHART_PAD.left - CHART_PAD.right;
+  const plotH = CHART_HEIGHT - CHART_PAD.top - CHART_PAD.bottom;
+
+  // Time axis: offset from the first lap start, or from each lap's own start
+  const origin = laps[0].start;
+  const offsetOf = (lap, t) => (opts.overlay ? t - lap.start : t - origin);
+  const xMax = opts.overlay
+    ? Math.max(...laps.map((l) => l.end - l.start))
+    : laps[laps.length - 1].end - origin;
+  const x = (sec) => CHART_PAD.left + (xMax > 0 ? (sec / xMax) * plotW : 0);
+  const y = (s, v) => {
+    let f = (v - s.range.min) / (s.range.max - s.range.min);
+    if (s.invert) f = 1 - f;
+    return CHART_PAD.top + (1 - f) * plotH;
+  };
+
+  const svg = svgEl('svg', { width, height: CHART_HEIGHT, class: 'gla-chart-svg' });
+
+  // Lap boundaries: alternate shading (timeline mode only)
+  if (!opts.overlay) {
+    laps.forEach((lap, i) => {
+      svg.appendChild(svgEl('rect', {
+        x: x(lap.start - origin),
+        y: CHART_PAD.top,
+        width: Math.max(1, x(lap.end - origin) - x(lap.start - origin)),
+        height: plotH,
+        class: i % 2 ? 'gla-chart-lap gla-chart-lap-alt' : 'gla-chart-lap',
+      }));
+      const label = svgEl('text', { x: x(lap.start - origin) + 3, y: CHART_PAD.top + 10, class: 'gla-chart-lap-label' });
+      label.textContent = lap.label;
+      svg.appendChild(label);
+    });
+  }
+
+  // Axes: time along the bottom, first series on the left, second on the right
+  const ticks = 5;
+  for (let i = 0; i <= ticks; i++) {
+    const sec = (xMax / ticks) * i;
+    const t = svgEl('text', { x: x(sec), y: CHART_HEIGHT - 6, class: 'gla-chart-axis', 'text-anchor': 'middle' });
+    t.textContent = formatClock(sec);
+    svg.appendChild(t);
+  }
+  active.slice(0, 2).forEach((s, side) => {
+    for (const v of [s.range.min, s.range.max]) {
+      const t = svgEl('text', {
+        x: side === 0 ? CHART_PAD.left - 4 : width - CHART_PAD.right + 4,
+        y: y(s, v) + 4,
+        class: 'gla-chart-axis',
+        'text-anchor': side === 0 ? 'end' : 'start',
+        fill: s.color,
+      });
+      t.textContent = s.format(v).split(' ')[0];
+      svg.appendChild(t);
+    }
+  });
+
+  // Series lines (thinned to CHART_MAX_POINTS) and min markers
+  const totalPoints = laps.reduce((n, l) => n + l.records.length, 0);
+  const stride = Math.max(1, Math.ceil(totalPoints / CHART_MAX_POINTS));
+  active.forEach((s, si) => {
+    laps.forEach((lap, li) => {
+      const points = [];
+      lap.records.forEach((r, i) => {
+        if (i % stride !== 0 && i !== lap.records.length - 1) return;
+        const v = s.value(r);
+        if (v == null || !isFinite(v)) return;
+        points.push(`${x(offsetOf(lap, r.timestamp)).toFixed(1)},${y(s, v).toFixed(1)}`);
+      });
+      if (points.length < 2) return;
+      svg.appendChild(svgEl('polyline', {
+        points: points.join(' '),
+        fill: 'none',
+        stroke: opts.overlay ? LAP_COLORS[li % LAP_COLORS.length] : s.color,
+        'stroke-width': 1.5,
+        'stroke-dasharray': opts.overlay ? SERIES_DASH[si % SERIES_DASH.length] : '',
+      }));
+
+      if (s.markMin) {
+        let min = null;
+        for (const r of lap.records) {
+          const v = s.value(r);
+          if (v != null && (min == null || v < s.value(min))) min = r;
+        }
+        if (min) {
+          const marker = svgEl('circle', {
+            cx: x(offsetOf(lap, min.timestamp)),
+            cy: y(s, s.value(min)),
+            r: 4,
+            class: 'gla-chart-min',
+          });
+          const title = svgEl('title');
+          title.textContent = `${lap.label} min ${s.label}: ${s.format(s.value(min))}`;
+          marker.appendChild(title);
+          svg.appendChild(marker);
+        }
+      }
+    });
+  });
+
+  // Hover: vertical cursor and tooltip with the values under it
+  const cursor = svgEl('line', { y1: CHART_PAD.top, y2: CHART_PAD.top + plotH, class: 'gla-chart-cursor' });
+  cursor.style.display = 'none';
+  svg.appendChild(cursor);
+  const tooltip = document.createElement('div');
+  tooltip.className = 'gla-chart-tooltip';
+  tooltip.style.display = 'none';
+
+  svg.addEventListener('mousemove', (e) => {
+    const rect = svg.getBoundingClientRect();
+    const px = e.clientX - rect.left;
+    if (px < CHART_PAD.left || px > CHART_PAD.left + plotW) {
+      cursor.style.display = tooltip.style.display = 'none';
+      return;
+    }
+    const sec = ((px - CHART_PAD.left) / plotW) * xMax;
+    const rows = [];
+    for (const lap of laps) {
+      const t = opts.overlay ? lap.start + sec : origin + sec;
+      if (t < lap.start || t > lap.end) continue;
+      const r = nearestRecord(lap.records, t);
+      if (!r) continue;
+      const values = active
+        .map((s) => (s.value(r) != null ? `${s.label} ${s.format(s.value(r))}` : null))
+        .filter(Boolean);
+      rows.push(`<b>${lap.label}</b> ${formatClock(t - lap.start)} &middot; ${values.join(' &middot; ')}`);
+    }
+    if (rows.length === 0) {
+      cursor.style.display = tooltip.style.display = 'none';
+      return;
+    }
+    cursor.setAttribute('x1', px);
+    cursor.setAttribute('x2', px);
+    cursor.style.display = '';
+    tooltip.innerHTML = rows.join('<br>');
+    tooltip.style.display = 'block';
+    tooltip.style.left = `${Math.min(px + 12, width - 220)}px`;
+  });
+  svg.addEventListener('mouseleave', () => {
+    cursor.style.display = tooltip.style.display = 'none';
+  });
+
+  container.appendChild(svg);
+  container.appendChild(tooltip);
+
+  // Legend with each series' range
+  const legend = document.createElement('div');
+  legend.className = 'gla-chart-legend';
+  legend.innerHTML = active.map((s, si) => {
+    const style = opts.overlay
+      ? `border-top-style:${['solid', 'dashed', 'dotted'][si % 3]}`
+      : `border-color:${s.color}`;
+    return `<span><i style="${style}"></i>${s.label}</span>`;
+  }).join('') + (opts.overlay
+    ? laps.map((l, li) => `<span style="color:${LAP_COLORS[li % LAP_COLORS.length]}">${l.label}</span>`).join('')
+    : '');
+  container.appendChild(legend);
+}
+
+// ── Route map ──
+
+const MAP_HEIGHT = 260;
+const MAP_PAD = 14;
+const MAP_MAX_POINTS = 2000;
+
+// Equirectangular projection scaled to fit the box, north up
+function routeProjection(points, width, height) {
+  let minLat = Infinity, maxLat = -Infinity, minLon = Infinity, maxLon = -Infinity;
+  for (const [lat, lon] of points) {
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+    if (lon < minLon) minLon = lon;
+    if (lon > maxLon) maxLon = lon;
+  }
+  const kx = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+  const spanX = Math.max((maxLon - minLon) * kx, 1e-6);
+  const spanY = Math.max(maxLat - minLat, 1e-6);
+  const scale = Math.min((width - 2 * MAP_PAD) / spanX, (height - 2 * MAP_PAD) / spanY);
+  const offX = (width - spanX * scale) / 2;
+  const offY = (height - spanY * scale) / 2;
+  return ([lat, lon]) => [
+    offX + (lon - minLon) * kx * scale,
+    height - (offY + (lat - minLat) * scale),
+  ];
+}
+
+// laps: [{ label, points: [[lat, lon], ...], selected }]
+// Returns { highlight(index | null) } to emphasise one lap, e.g. on hover.
+function renderRouteMap(container, laps) {
+  container.innerHTML = '';
+  const all = laps.flatMap((l) => l.points);
+  if (all.length < 2) {
+    container.style.display = 'none';
+    return { highlight() {} };
+  }
+  container.style.display = 'block';
+
+  const width = container.clientWidth || 600;
+  const project = routeProjection(all, width, MAP_HEIGHT);
+  const stride = Math.max(1, Math.ceil(all.length / MAP_MAX_POINTS));
+  const svg = svgEl('svg', { width, height: MAP_HEIGHT, class: 'gla-map-svg' });
+
+  const lines = laps.map((lap, i) => {
+    const pts = lap.points
+      .filter((_, k) => k % stride === 0 || k === lap.points.length - 1)
+      .map((p) => project(p).map((v) => v.toFixed(1)).join(','));
+    const line = svgEl('polyline', {
+      points: pts.join(' '),
+      fill: 'none',
+      stroke: lap.selected ? LAP_COLORS[i % LAP_COLORS.length] : '#bdc1c6',
+      'stroke-width': lap.selected ? 3 : 2,
+      'stroke-linejoin': 'round',
+      'stroke-linecap': 'round',
+      class: 'gla-map-lap',
+    });
+    const title = svgEl('title');
+    title.textContent = lap.label;
+    line.appendChild(title);
+    svg.appendChild(line);
+    return line;
+  });
+
+  const marker = (point, cls, label) => {
+    const [cx, cy] = project(point);
+    const c = svgEl('circle', { cx, cy, r: 6, class: cls });
+    const title = svgEl('title');
+    title.textContent = label;
+    c.appendChild(title);
+    svg.appendChild(c);
+  };
+  const withPoints = laps.filter((l) => l.points.length > 0);
+  marker(withPoints[0].points[0], 'gla-map-start', 'Start');
+  const lastLap = withPoints[withPoints.length - 1];
+  marker(lastLap.points[lastLap.points.length - 1], 'gla-map-finish', 'Finish');
+
+  container.appendChild(svg);
+
+  return {
+    highlight(index) {
+      lines.forEach((line, i) => {
+        line.classList.toggle('gla-map-dim', index != null && i !== index);
+        line.classList.toggle('gla-map-active', i === index);
+        line.style.stroke = i === index ? LAP_COLORS[i % LAP_COLORS.length] : '';
+        if (i === index) svg.insertBefore(line, svg.querySelector('circle'));
+      });
+    },
+  };
+}
@@ -5,10 +5,138 @@
   let fitData = null;
   let panel = null;
   let allLapStats = [];
+  let settings = null;
+  let lapSplit = { mode: 'device' };
+  let routeMap = null;
+  let comparisons = []; // [{ id, startTime, messages, stats }]
+  let batchPanel = null;
+  let batchItems = [];   // activities offered on the list page
+  let batchResults = []; // [{ id, name, startTime, messages, stats | error }]
+  let batchJob = null;
+  let localFiles = [];   // [{ id: file name, messages, startTime }] on analyze.html
+
+  // The extension's own page for files from disk, rather than Garmin Connect
+  const LOCAL_PAGE = window.location.protocol === 'chrome-extension:';
+
+  const DEFAULT_SETTINGS = {
+    zones: {
+      model: 'maxhr',
+      maxHR: 190,
+      restHR: 60,
+      lthr: 170,
+      bounds: {
+        maxhr: HR_ZONE_MODELS.maxhr.bounds,
+        hrr: HR_ZONE_MODELS.hrr.bounds,
+        lthr: HR_ZONE_MODELS.lthr.bounds,
+      },
+    },
+    power: {
+      ftp: 250,    // W, FTP for cycling or critical power for running
+      weight: 70,  // kg
+    },
+    recovery: {
+      show: true,
+      threshold: 120, // bpm, report time until HR falls below this
+    },
+    hrClean: {
+      enabled: true,
+      maxRate: 10,    // bpm/s, faster jumps are artifacts
+      outlier: 25,    // bpm from the local median
+      smoothing: 0,   // samples in the median filter, 0 = off
+      flagShare: 10,  // % of HR samples rejected or missing that flags a lap
+    },
+    display: {
+      units: 'metric',   // 'metric' | 'imperial'
+      precision: 2,      // decimals for distance and speed
+      speed: {           // 'pace' | 'speed' per sport
+        running: 'pace',
+        cycling: 'speed',
+        other: 'pace',
+      },
+    },
+    cache: {
+      enabled: true,
+      maxMB: 50, // IndexedDB budget, least recently opened activities go first
+    },
+  };
+
+  const UNIT_SYSTEMS = {
+    metric: {
+      dist: 'km', distMeters: 1000, elev: 'm', elevMeters: 1, speed: 'km/h',
+      osc: 'cm', oscMeters: 0.01, step: 'm', stepMeters: 1, fine: 'mm', fineMeters: 0.001,
+    },
+    imperial: {
+      dist: 'mi', distMeters: 1609.344, elev: 'ft', elevMeters: 0.3048, speed: 'mph',
+      osc: 'in', oscMeters: 0.0254, step: 'ft', stepMeters: 0.3048, fine: 'in', fineMeters: 0.0254,
+    },
+  };
+
+  // ── Settings (chrome.storage.sync) ──
+
+  function mergeSettings(defaults, saved) {
+    const out = {};
+    for (const [key, def] of Object.entries(defaults)) {
+      const val = saved ? saved[key] : undefined;
+      if (def && typeof def === 'object' && !Array.isArray(def)) {
+        out[key] = mergeSettings(def, val && typeof val === 'object' ? val : null);
+      } else {
+        out[key] = val !== undefined ? val : def;
+      }
+    }
+    return out;
+  }
+
+  async function loadSettings() {
+    try {
+      const { settings: saved } = await chrome.storage.sync.get('settings');
+      settings = mergeSettings(DEFAULT_SETTINGS, saved);
+    } catch (e) {
+      // Storage unavailable (e.g. extension reloaded under an open tab)
+      console.warn('[GLA] Could not load settings:', e.message);
+      settings = mergeSettings(DEFAULT_SETTINGS, null);
+    }
+  }
+
+  function saveSettings() {
+    chrome.storage.sync.set({ settings }).catch((e) => {
+      console.warn('[GLA] Could not save settings:', e.message);
+    });
+  }
+
+  // ── Recent activities (chrome.storage.local) ──
+  // Kept apart from the activity cache so the comparison picker works with
+  // the cache turned off.
+
+  const MAX_RECENT = 15;
+
+  async function loadRecent() {
+    try {
+      const { recent } = await chrome.storage.local.get('recent');
+      return Array.isArray(recent) ? recent : [];
+    } catch (e) {
+      console.warn('[GLA] Could not load recent activities:', e.message);
+      return [];
+    }
+  }
+
+  async function rememberActivity(id, startTime, messages) {
+    const entry = {
+      id,
+      startTime,
+      distance: (messages.lap || []).reduce((s, l) => s + (l.total_distance || 0), 0),
+      laps: (messages.lap || []).length,
+    };
+    const recent = (await loadRecent()).filter((r) => r.id !== id);
+    recent.unshift(entry);
+    chrome.storage.local.set({ recent: recent.slice(0, MAX_RECENT) }).catch((e) => {
+      console.warn('[GLA] Could not save recent activities:', e.message);
+    });
+  }
 
   // ── ZIP Extraction ──
 
-  async function extractFitFromZip(zipBytes) {
+  // First activity file in the archive (FIT preferred over TCX/GPX)
+  async function extractActivityFromZip(zipBytes) {
     const view = new DataView(zipBytes.buffer, zipBytes.byteOffset, zipBytes.byteLength);
 
     // Find End of Central Directory (search backwards)
@@ -25,6 +153,7 @@
     const cdEntries = view.getUint16(eocdOffset + 10, true);
 
     let offset = cdOffset;
+    let fallback = null;
     for (let i = 0; i < cdEntries; i++) {
       if (view.getUint32(offset, true) !== 0x02014b50) {
         throw new Error('Invalid central directory');
@@ -42,18 +171,23 @@
       );
       offset += 46 + nameLen + extraLen + commentLen;
 
-      if (name.toLowerCase().endsWith('.fit')) {
-        const localNameLen = view.getUint16(localOffset + 26, true);
-        const localExtraLen = view.getUint16(localOffset + 28, true);
-        const dataStart = localOffset + 30 + localNameLen + localExtraLen;
-        const compressed = zipBytes.slice(dataStart, dataStart + compSize);
-
-        if (method === 0) return compressed;
-        if (method === 8) return await inflateRaw(compressed);
-        throw new Error(`Unsupported compression method: ${method}`);
-      }
+      const entry = { method, compSize, localOffset };
+      if (name.toLowerCase().endsWith('.fit')) return readZipEntry(zipBytes, view, entry);
+      if (!fallback && /\.(tcx|gpx)$/i.test(name)) fallback = entry;
     }
-    throw new Error('No .fit file found in ZIP');
+    if (fallback) return readZipEntry(zipBytes, view, fallback);
+    throw new Error('No .fit, .tcx or .gpx file found in ZIP');
+  }
+
+  async function readZipEntry(zipBytes, view, { method, compSize, localOffset }) {
+    const localNameLen = view.getUint16(localOffset + 26, true);
+    const localExtraLen = view.getUint16(localOffset + 28, true);
+    const dataStart = localOffset + 30 + localNameLen + localExtraLen;
+    const compressed = zipBytes.slice(dataStart, dataStart + compSize);
+
+    if (method === 0) return compressed;
+    if (method === 8) return await inflateRaw(compressed);
+    throw new Error(`Unsupported compression method: ${method}`);
   }
 
   async function inflateRaw(data) {
@@ -88,12 +222,14 @@
     return arr;
   }
 
-  function fetchActivityData(activityId) {
+  // Send a GLA_*_REQUEST to page-fetch.js and resolve with its GLA_*_RESPONSE
+  function pageRequest(type, payload) {
+    const responseType = type.replace(/_REQUEST$/, '_RESPONSE');
     return new Promise((resolve, reject) => {
       const requestId = Math.random().toString(36).slice(2);
       const handler = (event) => {
         if (event.source !== window) return;
-        if (event.data?.type !== 'GLA_FETCH_RESPONSE') return;
+        if (event.data?.type !== responseType) return;
         if (event.data.requestId !== requestId) return;
         window.removeEventListener('message', handler);
         if (event.data.success) {
@@ -103,15 +239,189 @@
         }
       };
       window.addEventListener('message', handler);
-      window.postMessage({ type: 'GLA_FETCH_REQUEST', activityId, requestId }, '*');
+      window.postMessage({ type, ...payload, requestId }, '*');
     });
   }
 
+  function fetchActivityData(activityId) {
+    return pageRequest('GLA_FETCH_REQUEST', { activityId });
+  }
+
+  // Activities started between two dates (YYYY-MM-DD, inclusive)
+  async function fetchActivityList(startDate, endDate) {
+    const result = await pageRequest('GLA_LIST_REQUEST', { startDate, endDate });
+    return JSON.parse(result.data);
+  }
+
+  // FIT timestamps count seconds from 1989-12-31T00:00:00Z
+  const FIT_EPOCH = 631065600;
+
+  // Fetch, unpack and parse one activity. Returns the FIT-style messages
+  // and the start time in Unix seconds.
+  async function loadActivity(activityId, progress = () => {}) {
+    const result = await fetchActivityData(activityId);
+
+    if (result.format === 'json') {
+      progress('Parsing activity data...');
+      const messages = parseJsonActivity(result.data);
+      return { messages, startTime: messages.record[0]?.timestamp ?? null };
+    }
+
+    // Binary FIT/ZIP
+    const rawBytes = base64ToUint8Array(result.data);
+    console.log('[GLA] Downloaded', rawBytes.length, 'bytes');
+    return parseActivityBytes(rawBytes, progress);
+  }
+
+  // FIT, TCX or GPX file, or a ZIP containing one, from Garmin or from disk
+  async function parseActivityBytes(rawBytes, progress = () => {}) {
+    let bytes = rawBytes;
+    if (isZip(rawBytes)) {
+      progress('Extracting activity from ZIP...');
+      bytes = await extractActivityFromZip(rawBytes);
+    }
+
+    if (!isFit(bytes)) {
+      const text = new TextDecoder().decode(bytes);
+      if (isXml(text)) {
+        progress('Parsing TCX/GPX file...');
+        const messages = parseXmlActivity(text);
+        console.log('[GLA] XML parsed:', messages.record.length, 'records,', messages.lap.length, 'laps');
+        return { messages, startTime: messages.record[0]?.timestamp ?? null };
+      }
+      throw new Error(`Unexpected file format (${bytes.length} bytes). Preview: ${text.slice(0, 100)}`);
+    }
+
+    progress('Parsing FIT file...');
+    const parser = new FitParser(bytes);
+    const messages = parser.parse();
+    console.log('[GLA] FIT parsed:', Object.keys(messages).filter(k => Array.isArray(messages[k]))
+      .map(k => `${k}: ${messages[k].length}`).join(', '));
+    const warnings = fitWarnings(messages.diagnostics);
+    if (warnings.length > 0) console.warn('[GLA] FIT integrity:', warnings.join(' '));
+    const first = messages.session?.[0]?.start_time ?? messages.record?.[0]?.timestamp;
+    return { messages, startTime: first != null ? first + FIT_EPOCH : null };
+  }
+
+  // Readable lines for the integrity problems FitParser collected
+  function fitWarnings(diag) {
+    if (!diag) return [];
+    const hex = (n) => '0x' + n.toString(16).toUpperCase().padStart(4, '0');
+    const segment = (n) => (diag.segments > 1 ? ` in FIT segment ${n}` : '');
+    const warnings = [];
+    if (diag.truncated) {
+      warnings.push(`File is truncated: it ends at byte ${diag.truncated.offset} of ${diag.truncated.expected}.`);
+    }
+    for (const e of diag.crcErrors) {
+      warnings.push(`${e.kind === 'header' ? 'Header' : 'File'} CRC mismatch${segment(e.segment)} ` +
+        `(stored ${hex(e.stored)}, computed ${hex(e.computed)}).`);
+    }
+    for (const s of diag.skipped) {
+      warnings.push(`Stopped decoding at byte ${s.offset}${segment(s.segment)}: ${s.reason}. ` +
+        `${s.bytes} bytes of data were skipped.`);
+    }
+    const types = Object.entries(diag.unsupportedBaseTypes);
+    if (types.length > 0) {
+      warnings.push('Fields with unsupported base types were skipped: ' +
+        types.map(([t, n]) => `${t} (${n}×)`).join(', ') + '.');
+    }
+    if (diag.trailingBytes > 0) warnings.push(`${diag.trailingBytes} bytes after the last FIT segment were ignored.`);
+    return warnings;
+  }
+
+  // ── Activity cache (IndexedDB, see activity-cache.js) ──
+
+  function cacheLimit() {
+    return settings.cache.maxMB * 1024 * 1024;
+  }
+
+  function formatMB(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  // Messages from the cache when available, otherwise downloaded from
+  // Garmin and cached. `refresh` always downloads.
+  async function loadActivityCached(activityId, progress = () => {}, refresh = false) {
+    if (settings.cache.enabled && !refresh) {
+      try {
+        const cached = await cacheRead('activities', activityId);
+        if (cached) {
+          console.log('[GLA] Loaded from cache:', activityId);
+          touchCached(activityId);
+          return { messages: cached.messages, startTime: cached.startTime, cachedAt: cached.cachedAt };
+        }
+      } catch (e) {
+        console.warn('[GLA] Could not read cache:', e.message);
+      }
+    }
+
+    const loaded = await loadActivity(activityId, progress);
+    if (settings.cache.enabled) await cacheActivity(activityId, loaded);
+    return { ...loaded, cachedAt: null };
+  }
+
+  async function cacheActivity(id, { messages, startTime }) {
+    const size = estimateSize(messages);
+    if (size > cacheLimit()) return;
+    const now = Date.now();
+    try {
+      await cacheWrite({
+        activities: { id, messages, startTime, cachedAt: now },
+        meta: {
+          id,
+          startTime,
+          size,
+          cachedAt: now,
+          openedAt: now,
+          sport: activitySport(messages),
+          distance: (messages.lap || []).reduce((s, l) => s + (l.total_distance || 0), 0),
+          laps: (messages.lap || []).length,
+        },
+      });
+      const evicted = await evictCache(cacheLimit(), id);
+      if (evicted.length > 0) console.log('[GLA] Evicted from cache:', evicted.join(', '));
+    } catch (e) {
+      console.warn('[GLA] Could not cache activity:', e.message);
+    }
+  }
+
+  async function touchCached(id) {
+    try {
+      const meta = await cacheRead('meta', id);
+      if (meta) await cacheWrite({ meta: { ...meta, openedAt: Date.now() } });
+    } catch (e) {
+      console.warn('[GLA] Could not update cache:', e.message);
+    }
+  }
+
+  // Lap stats as last analyzed, for the history view. Samples are left out;
+  // the sport is kept so pace/speed and cadence render as they did.
+  async function cacheStats(id, stats, split, messages) {
+    if (!settings.cache.enabled) return;
+    try {
+      if (!(await cacheRead('meta', id))) return;
+      await cacheWrite({
+        stats: {
+          id,
+          split,
+          context: { session: messages.session, sport: messages.sport },
+          stats: stats.map(({ records, ...s }) => s),
+        },
+      });
+    } catch (e) {
+      console.warn('[GLA] Could not cache lap stats:', e.message);
+    }
+  }
+
   function isZip(bytes) {
     return bytes.length > 4 && bytes[0] === 0x50 && bytes[1] === 0x4B &&
            bytes[2] === 0x03 && bytes[3] === 0x04;
   }
 
+  function isXml(text) {
+    return /^\uFEFF?\s*</.test(text);
+  }
+
   function isFit(bytes) {
     // FIT signature at byte 8: ".FIT"
     return bytes.length > 12 && bytes[8] === 0x2E && bytes[9] === 0x46 &&
@@ -120,8 +430,29 @@
 
   // ── Parse Garmin JSON API response into same format as FIT ──
 
+  // Garmin activity type keys (activityTypeDTO.typeKey) to FIT sport numbers
+  const GARMIN_TYPE_SPORTS = [
+    [/swim/, 5], [/run/, 1], [/cycling|biking|ride/, 2], [/walk/, 11], [/hik/, 17],
+    [/strength|cardio|hiit|yoga|pilates|elliptical|stair/, 10],
+    [/rowing/, 15], [/ski/, 12], [/paddl|kayak/, 19],
+  ];
+
+  function garminTypeSport(typeKey) {
+    if (!typeKey) return null;
+    const match = GARMIN_TYPE_SPORTS.find(([pattern]) => pattern.test(typeKey));
+    return match ? match[1] : 0;
+  }
+
+  // Garmin's *GMT strings carry no zone suffix: read them as UTC, in seconds
+  function parseGmt(text) {
+    if (!text) return null;
+    const iso = String(text).replace(' ', 'T');
+    const t = Date.parse(/(Z|[+-]\d\d:?\d\d)$/.test(iso) ? iso : iso + 'Z');
+    return isNaN(t) ? null : t / 1000;
+  }
+
   function parseJsonActivity(jsonStr) {
-    const { details, splits } = JSON.parse(jsonStr);
+    const { details, splits, summary } = JSON.parse(jsonStr);
     const messages = { lap: [], record: [] };
 
     // Parse metric descriptors to find column indices
@@ -142,25 +473,49 @@
         if (key === 'directHeartRate') record.heart_rate = vals[i];
         if (key === 'directDistance') record.distance = vals[i]; // already in meters
         if (key === 'directSpeed') record.speed = vals[i]; // m/s
+        if (key === 'directPower') record.power = vals[i]; // W
+        if (key === 'directElevation') record.altitude = vals[i]; // m
+        if (key === 'directLatitude') record.position_lat = vals[i]; // degrees
+        if (key === 'directLongitude') record.position_long = vals[i]; // degrees
+        // Cadence kept in FIT units: strides/min for running, rpm for cycling
+        if (key === 'directRunCadence') record.cadence = vals[i];
+        if (key === 'directDoubleCadence' && record.cadence == null) record.cadence = vals[i] / 2;
+        if (key === 'directBikeCadence') record.cadence = vals[i];
+        if (key === 'directVerticalOscillation') record.vertical_oscillation = vals[i] * 10; // cm -> mm
+        if (key === 'directGroundContactTime') record.stance_time = vals[i]; // ms
+        if (key === 'directGroundContactBalanceLeft') record.stance_time_balance = vals[i]; // % left
+        if (key === 'directVerticalRatio') record.vertical_ratio = vals[i]; // %
+        if (key === 'directStrideLength') record.step_length = vals[i] * 10; // cm -> mm
       }
       if (record.timestamp != null) messages.record.push(record);
     }
 
+    // Sport from the activity type, else guessed from the metrics:
+    // run cadence only exists for running activities
+    const keys = Object.values(idx);
+    const sport = garminTypeSport(summary?.activityTypeDTO?.typeKey);
+    if (sport != null) {
+      messages.session = [{ sport }];
+    } else if (keys.includes('directRunCadence') || keys.includes('directDoubleCadence')) {
+      messages.session = [{ sport: 1 }];
+    }
+
     // Parse laps from splits
     const lapSplits = splits?.lapDTOs || splits || [];
     for (const lap of lapSplits) {
+      const start = parseGmt(lap.startTimeGMT) ?? lap.startTimeInSeconds;
       messages.lap.push({
-        start_time: (lap.startTimeGMT != null)
-          ? new Date(lap.startTimeGMT).getTime() / 1000
-          : lap.startTimeInSeconds,
-        timestamp: (lap.startTimeGMT != null)
-          ? new Date(lap.startTimeGMT).getTime() / 1000 + (lap.duration || lap.elapsedDuration || 0)
-          : (lap.startTimeInSeconds || 0) + (lap.duration || lap.elapsedDuration || 0),
+        start_time: start,
+        // Elapsed, not timer time: no pause events here, so the lap must span them
+        timestamp: (start || 0) + (lap.elapsedDuration || lap.duration || 0),
         total_timer_time: lap.duration || lap.elapsedDuration || 0,
         total_distance: lap.distance || 0,
         avg_heart_rate: lap.averageHR || lap.averageHeartRate || null,
         max_heart_rate: lap.maxHR || lap.maxHeartRate || null,
         avg_speed: lap.averageSpeed || null,
+        avg_power: lap.averagePower ?? null,
+        max_power: lap.maxPower ?? null,
+        normalized_power: lap.normalizedPower ?? null,
       });
     }
 
@@ -182,32 +537,46 @@
 
   // ── Stats Computation ──
 
-  function computeLapStats(laps, records) {
+  function computeLapStats(laps, records, opts = {}) {
+    // Optical HR artifacts out before anything reads heart_rate
+    if (opts.hrClean) records = cleanHeartRate(records, opts.hrClean);
+
     // Build cumulative distance boundaries for each lap
+    // (virtual laps carry their own start distance)
     let cumDist = 0;
     const lapBounds = laps.map((lap) => {
-      const start = cumDist;
-      cumDist += lap.total_distance || 0;
+      const start = lap.start_distance ?? cumDist;
+      cumDist = start + (lap.total_distance || 0);
       return { start, end: cumDist };
     });
 
-    // Sort records by distance (should already be ordered)
+    const pauses = opts.pauses || [];
+    const timedRecords = sortByTimestamp(records);
+
+    // Records sorted by distance, for laps without usable times
     const sortedRecords = records
       .filter((r) => r.distance != null)
       .sort((a, b) => a.distance - b.distance);
 
+    // Whole-activity HR timeline, so recovery can look past the lap end
+    const hrTimeline = sortByTimestamp(records.filter((r) => r.heart_rate != null && r.heart_rate > 0));
+    const hasHr = hrTimeline.length > 0 || records.some((r) => r.hr_rejected);
+
     return laps.map((lap, index) => {
       const bound = lapBounds[index];
 
-      // Match records to lap by cumulative distance (tolerance of 10m)
-      let lapRecords = sortedRecords.filter(
-        (r) => r.distance >= bound.start - 10 && r.distance <= bound.end + 10
-      );
+      // Match records to the lap's time range, timer pauses excluded
+      let lapRecords = [];
+      let matchedBy = 'time';
+      if (lap.start_time != null && lap.timestamp != null) {
+        lapRecords = lapRecordsByTime(timedRecords, lap, index === laps.length - 1, pauses);
+      }
 
-      // Fallback: match by timestamp if distance matching found nothing
-      if (lapRecords.length === 0 && lap.start_time != null && lap.timestamp != null) {
-        lapRecords = records.filter(
-          (r) => r.timestamp != null && r.timestamp >= lap.start_time && r.timestamp <= lap.timestamp
+      // Fallback: match by cumulative distance (tolerance of 10m)
+      if (lapRecords.length === 0) {
+        matchedBy = 'distance';
+        lapRecords = sortedRecords.filter(
+          (r) => r.distance >= bound.start - 10 && r.distance <= bound.end + 10
         );
       }
 
@@ -216,6 +585,7 @@
       const hrValues = hrRecords.map((r) => r.heart_rate);
 
       let minHR, maxHR, avgHR, timeToMinHR;
+      let timeInZones = null;
       if (hrValues.length > 0) {
         minHR = Math.min(...hrValues);
         maxHR = Math.max(...hrValues);
@@ -228,6 +598,10 @@
         } else {
           timeToMinHR = null;
         }
+
+        if (opts.zoneThresholds) {
+          timeInZones = timeInHrZones(hrRecords, opts.zoneThresholds, lap.timestamp);
+        }
       } else {
         // Fallback to lap summary (min HR unavailable from summary)
         minHR = null;
@@ -236,13 +610,49 @@
         timeToMinHR = null;
       }
 
+      // HR recovery after the lap ends
+      const recovery = computeHrRecovery(hrTimeline, lap.timestamp, opts.recoveryThreshold);
+
+      // HRV from the beat-to-beat RR intervals inside the lap
+      const hrv = computeHrvStats(opts.hrvBeats, lap.start_time, lap.timestamp);
+
+      // Lengths, strokes and SWOLF from the swim lap and length messages
+      const swim = opts.swim ? computeSwimStats(lap, opts.swim.lengths, opts.swim.unit) : null;
+
+      // Planned structured workout step and time inside its target
+      const workout = computeWorkoutStep(lap, lapRecords, opts.workoutSteps, {
+        zoneThresholds: opts.zoneThresholds,
+        maxHR: opts.maxHR,
+        ftp: opts.power?.ftp,
+        running: opts.sport === 'running',
+      });
+
+      // Cadence and running dynamics from raw records
+      const cadence = computeCadenceStats(lapRecords, opts.sport === 'running');
+      const dynamics = computeRunningDynamics(lapRecords);
+
+      // Developer fields (Stryd, Connect IQ) from raw records
+      const devFields = summarizeDevFields(lapRecords, opts.devFieldUnits);
+
+      // Power (avg, NP, IF, TSS) from raw records, lap summary as fallback
+      const power = computePowerStats(lapRecords, lap, opts.power || {});
+
       // Distance from lap summary
       const totalDistance = lap.total_distance || 0;
 
       // Elapsed time — prefer total_timer_time (excludes pauses)
       const startTime = lap.start_time;
       const endTime = lap.timestamp;
-      const elapsedTime = lap.total_timer_time || (endTime - startTime) || 0;
+      const clockTime = lap.total_elapsed_time || (endTime - startTime) || null;
+      // (virtual laps only know their samples, so pauses are taken out here)
+      const elapsedTime = (lap.virtual && pauses.length > 0 ? timerTime(lapRecords, endTime, pauses) : null) ||
+        lap.total_timer_time ||
+        (clockTime != null ? clockTime - pausedOverlap(pauses, startTime, endTime) : 0);
+      const movingTime = computeMovingTime(lapRecords, endTime, pauses);
+
+      // Rejected and missing HR; laps over the threshold get flagged
+      const quality = hrQuality(lapRecords, endTime, elapsedTime, hasHr);
+      if (quality) quality.flagged = Math.max(quality.rejected, quality.missing) >= (opts.hrFlagShare ?? Infinity);
 
       // Avg pace (seconds per km)
       let avgPace = null;
@@ -250,18 +660,40 @@
         avgPace = (elapsedTime / totalDistance) * 1000;
       }
 
-      console.log(`[GLA] Lap ${index + 1}: ${lapRecords.length} records, ${hrValues.length} HR values, dist ${bound.start.toFixed(0)}-${bound.end.toFixed(0)}m`);
+      // Ascent/descent/grade and grade-adjusted pace (foot sports only)
+      const elevation = computeElevationStats(lapRecords, avgPace, opts.profile === 'running');
 
-      return {
+      console.log(`[GLA] Lap ${index + 1}: ${lapRecords.length} records by ${matchedBy}, ${hrValues.length} HR values, dist ${bound.start.toFixed(0)}-${bound.end.toFixed(0)}m`);
+
+      const stat = {
         lapNumber: index + 1,
+        startDistance: bound.start,
+        startTime,
+        endTime,
         totalDistance,
         avgPace,
+        elevation,
         minHR,
         maxHR,
         avgHR,
         timeToMinHR,
+        hrQuality: quality,
+        recovery,
+        hrv,
+        timeInZones,
+        devFields,
+        power,
+        cadence,
+        dynamics,
+        swim,
+        workout,
         elapsedTime,
+        movingTime,
+        clockTime,
+        records: lapRecords,
       };
+      stat.efficiency = efficiencyFactor(stat);
+      return stat;
     });
   }
 
@@ -272,29 +704,680 @@
     return `${m}:${s.toString().padStart(2, '0')}`;
   }
 
+  function formatDuration(seconds) {
+    if (seconds == null || !isFinite(seconds) || seconds < 0) return '--:--';
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = (total % 60).toString().padStart(2, '0');
+    return h > 0 ? `${h}:${m.toString().padStart(2, '0')}:${s}` : `${m}:${s}`;
+  }
+
+  // ── Units & display preferences ──
+
+  function units() {
+    return UNIT_SYSTEMS[settings.display.units] || UNIT_SYSTEMS.metric;
+  }
+
+  function speedMode() {
+    const sport = activitySport(fitData);
+    const key = sport === 'running' || sport === 'cycling' ? sport : 'other';
+    return settings.display.speed[key];
+  }
+
   function formatDist(meters) {
     if (meters == null || meters === 0) return '  --  ';
-    return (meters / 1000).toFixed(2);
+    return (meters / units().distMeters).toFixed(settings.display.precision);
+  }
+
+  function formatDistance(meters) {
+    return `${formatDist(meters)} ${units().dist}`;
+  }
+
+  // Pace (m:ss per km/mi) or speed (km/h, mph) from seconds per km,
+  // depending on the sport's display preference; swims always use pace
+  // per 100 m/yd of the pool
+  function formatSpeed(secPerKm) {
+    if (swimMode()) {
+      const unit = swimUnit(fitData);
+      return `${formatPace(secPerKm != null ? (secPerKm / 10) * unit.meters : null)}/100${unit.label}`;
+    }
+    if (speedMode() === 'speed') {
+      const v = paceToSpeed(secPerKm);
+      return v != null ? `${v.toFixed(Math.min(settings.display.precision, 1))} ${units().speed}` : `-- ${units().speed}`;
+    }
+    return `${formatPace(paceInUnits(secPerKm))}/${units().dist}`;
+  }
+
+  function paceInUnits(secPerKm) {
+    return secPerKm != null ? secPerKm * (units().distMeters / 1000) : null;
+  }
+
+  function paceToSpeed(secPerKm) {
+    if (secPerKm == null || !isFinite(secPerKm) || secPerKm <= 0) return null;
+    return (1000 / secPerKm) * 3600 / units().distMeters;
+  }
+
+  function speedHeader(label) {
+    return speedMode() === 'speed' && !swimMode() ? `${label} Speed` : `${label} Pace`;
+  }
+
+  // Running dynamics are stored in mm
+  function fineUnits(mm) {
+    return mm != null ? mm / 1000 / units().fineMeters : null;
+  }
+
+  function formatElevation(meters) {
+    return `${formatInt(meters != null ? meters / units().elevMeters : null)} ${units().elev}`;
+  }
+
+  // Laps with unreliable HR are marked with an asterisk
+  function lapCell(s) {
+    return s.hrQuality?.flagged ? `${s.lapNumber}*` : s.lapNumber.toString();
+  }
+
+  const HR_QUALITY_COLUMNS = [
+    { key: 'hr_rejected', header: 'HR rej', width: 6, optional: (s) => s.hrQuality?.flagged,
+      value: (s) => formatInt(s.hrQuality?.rejected) + '%' },
+    { key: 'hr_missing', header: 'HR gap', width: 6, optional: (s) => s.hrQuality?.flagged,
+      value: (s) => formatInt(s.hrQuality?.missing) + '%' },
+  ];
+
+  // Columns of the main stats table. Optional columns are only shown when
+  // at least one of the selected laps has a value for them, and only the
+  // columns of the activity's sport profile are shown.
+  const STAT_COLUMNS = [
+    { key: 'lap', header: 'Lap', width: 3, value: lapCell },
+    { key: 'distance', header: 'Distance', width: 9, value: (s) => formatDistance(s.totalDistance) },
+    { key: 'moving', header: 'Moving', width: 7, optional: (s) => s.movingTime != null, value: (s) => formatDuration(s.movingTime) },
+    { key: 'elapsed', header: 'Elapsed', width: 7, optional: (s) => s.clockTime != null, value: (s) => formatDuration(s.clockTime) },
+    { key: 'speed', header: () => speedHeader('Avg'), width: 10, value: (s) => formatSpeed(s.avgPace) },
+    { key: 'gap', header: 'GAP', width: 10, optional: (s) => s.elevation?.gap, value: (s) => formatSpeed(s.elevation?.gap) },
+    { key: 'ascent', header: 'Ascent', width: 7, optional: (s) => s.elevation, value: (s) => formatElevation(s.elevation?.ascent) },
+    { key: 'descent', header: 'Descent', width: 7, optional: (s) => s.elevation, value: (s) => formatElevation(s.elevation?.descent) },
+    { key: 'grade', header: 'Grade', width: 6, optional: (s) => s.elevation, value: (s) => formatFixed(s.elevation?.grade, 1) + '%' },
+    { key: 'min_hr', header: 'Min HR', width: 6, value: (s) => formatInt(s.minHR) },
+    { key: 'max_hr', header: 'Max HR', width: 6, value: (s) => formatInt(s.maxHR) },
+    { key: 'avg_hr', header: 'Avg HR', width: 6, value: (s) => formatInt(s.avgHR) },
+    { key: 'min_hr_at', header: 'Min HR @', width: 8, value: (s) => (s.timeToMinHR != null ? formatPace(s.timeToMinHR) : '--:--') },
+    ...HR_QUALITY_COLUMNS,
+    { key: 'ef', header: 'EF', width: 4, optional: (s) => s.efficiency, value: (s) => formatFixed(s.efficiency, 2) },
+    { key: 'avg_power', header: 'Avg W', width: 5, optional: (s) => s.power, value: (s) => formatInt(s.power?.avg) },
+    { key: 'max_power', header: 'Max W', width: 5, optional: (s) => s.power, value: (s) => formatInt(s.power?.max) },
+    { key: 'np', header: 'NP', width: 5, optional: (s) => s.power, value: (s) => formatInt(s.power?.np) },
+    { key: 'if', header: 'IF', width: 4, optional: (s) => s.power, value: (s) => formatFixed(s.power?.intensity, 2) },
+    { key: 'tss', header: 'TSS', width: 5, optional: (s) => s.power, value: (s) => formatFixed(s.power?.tss, 1) },
+    { key: 'wkg', header: 'W/kg', width: 5, optional: (s) => s.power, value: (s) => formatFixed(s.power?.wkg, 2) },
+  ];
+
+  // Swim mode replaces the main table: per-interval lengths, stroke and pace per 100
+  const SWIM_COLUMNS = [
+    { header: 'Lap', width: 3, value: lapCell },
+    { header: 'Stroke', width: 6, value: (s) => (s.swim?.rest ? 'Rest' : s.swim?.stroke ?? '--') },
+    { header: 'Lengths', width: 7, optional: (s) => s.swim?.lengths != null, value: (s) => formatInt(s.swim?.lengths) },
+    { header: 'Distance', width: 8, value: (s) => formatSwimDistance(s.totalDistance) },
+    { header: 'Time', width: 7, value: (s) => formatDuration(s.elapsedTime) },
+    { header: () => `Pace/100${swimUnit(fitData).label}`, width: 10, value: (s) => formatPace(s.swim?.pace100) },
+    { header: 'Strokes', width: 7, optional: (s) => s.swim?.strokes != null, value: (s) => formatInt(s.swim?.strokes) },
+    { header: 'SWOLF', width: 5, optional: (s) => s.swim?.swolf != null, value: (s) => formatFixed(s.swim?.swolf, 1) },
+    { header: 'Min HR', width: 6, value: (s) => formatInt(s.minHR) },
+    { header: 'Max HR', width: 6, value: (s) => formatInt(s.maxHR) },
+    { header: 'Avg HR', width: 6, value: (s) => formatInt(s.avgHR) },
+    ...HR_QUALITY_COLUMNS,
+  ];
+
+  // One row per pool length of the selected intervals
+  const LENGTH_COLUMNS = [
+    { header: 'Lap', width: 3, value: (l) => String(l.lapNumber) },
+    { header: '#', width: 3, value: (l) => String(l.index) },
+    { header: 'Stroke', width: 6, value: (l) => (l.rest ? 'Rest' : l.stroke ?? '--') },
+    { header: 'Time', width: 6, value: (l) => formatDuration(l.time) },
+    { header: 'Strokes', width: 7, value: (l) => formatInt(l.strokes) },
+    { header: 'SWOLF', width: 5,
+      value: (l) => (!l.rest && l.time != null && l.strokes != null ? formatInt(l.time + l.strokes) : '--') },
+  ];
+
+  function swimMode() {
+    return sportProfile(fitData) === 'swimming';
+  }
+
+  function formatSwimDistance(meters) {
+    if (!meters) return '--';
+    const unit = swimUnit(fitData);
+    return `${Math.round(meters / unit.meters)} ${unit.label}`;
+  }
+
+  function generateLengthsText(stats) {
+    const rows = stats.flatMap((s) =>
+      (s.swim?.lengthList || []).map((l, i) => ({ ...l, lapNumber: s.lapNumber, index: i + 1 }))
+    );
+    if (rows.length === 0) return '';
+    return ['Pool lengths', formatTable(LENGTH_COLUMNS, rows)].join('\n');
+  }
+
+  // Main-table columns per sport profile (see sportProfile); null = all.
+  // Swims use SWIM_COLUMNS instead.
+  const PROFILE_COLUMNS = {
+    running: null,
+    cycling: ['lap', 'distance', 'moving', 'elapsed', 'speed', 'ascent', 'descent', 'grade',
+      'min_hr', 'max_hr', 'avg_hr', 'min_hr_at', 'hr_rejected', 'hr_missing', 'ef', 'avg_power', 'max_power', 'np', 'if', 'tss', 'wkg'],
+    strength: ['lap', 'moving', 'elapsed', 'min_hr', 'max_hr', 'avg_hr', 'min_hr_at', 'hr_rejected', 'hr_missing'],
+    other: STAT_COLUMNS.map((c) => c.key).filter((key) => key !== 'gap'),
+  };
+
+  // Columns of the main table for the current activity
+  function statColumns(stats) {
+    const profile = sportProfile(fitData);
+    if (profile === 'swimming') return visibleColumns(SWIM_COLUMNS, stats);
+    const keys = PROFILE_COLUMNS[profile];
+    return visibleColumns(STAT_COLUMNS.filter((c) => !keys || keys.includes(c.key)), stats);
+  }
+
+  // What the lap list shows next to each lap
+  function lapSummary(s) {
+    const duration = formatPace(s.elapsedTime);
+    switch (sportProfile(fitData)) {
+      case 'swimming':
+        if (s.swim?.rest) return `Rest, ${duration}`;
+        return `${formatSwimDistance(s.totalDistance)}${s.swim?.stroke ? ' ' + s.swim.stroke : ''}, ${duration}`;
+      case 'strength':
+        return s.avgHR != null ? `${duration}, avg ${formatInt(s.avgHR)} bpm` : duration;
+      case 'cycling': {
+        const power = s.power?.avg != null ? `, ${formatInt(s.power.avg)} W` : '';
+        return `${formatDistance(s.totalDistance)}, ${duration}, ${formatSpeed(s.avgPace)}${power}`;
+      }
+      case 'running':
+        return `${formatDistance(s.totalDistance)}, ${duration}, ${formatSpeed(s.avgPace)}`;
+      default:
+        return `${formatDistance(s.totalDistance)}, ${duration}`;
+    }
+  }
+
+  function formatInt(v) {
+    return v != null && isFinite(v) ? String(Math.round(v)) : '--';
+  }
+
+  function formatFixed(v, digits) {
+    return v != null && isFinite(v) ? v.toFixed(digits) : '--';
+  }
+
+  function formatValue(v) {
+    if (v == null || !isFinite(v)) return '--';
+    const abs = Math.abs(v);
+    return v.toFixed(abs >= 100 ? 0 : abs >= 10 ? 1 : 2);
+  }
+
+  // Cadence (spm for running, rpm otherwise) and running dynamics averages
+  const DYNAMICS_COLUMNS = [
+    { header: 'Lap', width: 3, value: (s) => s.lapNumber.toString() },
+    { header: 'Avg Cad', width: 7, optional: (s) => s.cadence, value: (s) => formatInt(s.cadence?.avg) },
+    { header: 'Min Cad', width: 7, optional: (s) => s.cadence, value: (s) => formatInt(s.cadence?.min) },
+    { header: 'Max Cad', width: 7, optional: (s) => s.cadence, value: (s) => formatInt(s.cadence?.max) },
+    { header: () => `VO ${units().osc}`, width: 5, optional: (s) => s.dynamics?.vertical_oscillation,
+      value: (s) => formatFixed(s.dynamics?.vertical_oscillation / 1000 / units().oscMeters, 1) },
+    { header: 'VR %', width: 5, optional: (s) => s.dynamics?.vertical_ratio,
+      value: (s) => formatFixed(s.dynamics?.vertical_ratio, 1) },
+    { header: 'GCT ms', width: 6, optional: (s) => s.dynamics?.stance_time,
+      value: (s) => formatInt(s.dynamics?.stance_time) },
+    { header: 'GCT bal', width: 7, optional: (s) => s.dynamics?.stance_time_balance,
+      value: (s) => (s.dynamics?.stance_time_balance != null ? formatFixed(s.dynamics.stance_time_balance, 1) + ' L' : '--') },
+    { header: () => `Step ${units().step}`, width: 7, optional: (s) => s.dynamics?.step_length,
+      value: (s) => formatFixed(s.dynamics?.step_length / 1000 / units().stepMeters, 2) },
+  ];
+
+  const LAP_TYPE_LABELS = {
+    warmup: 'Warm-up', work: 'Work', recovery: 'Recovery', cooldown: 'Cool-down',
+  };
+
+  // Aggregate rows per interval group (set of reps, recoveries, ...)
+  const GROUP_COLUMNS = [
+    { header: 'Group', width: 12, value: (g) => g.label.slice(0, 12) },
+    { header: 'Laps', width: 4, value: (g) => String(g.laps) },
+    { header: 'Distance', width: 9, value: (g) => formatDistance(g.totalDistance) },
+    { header: 'Time', width: 8, value: (g) => formatDuration(g.elapsedTime) },
+    { header: () => speedHeader('Avg'), width: 10, value: (g) => formatSpeed(g.avgPace) },
+    { header: 'Min HR', width: 6, value: (g) => formatInt(g.minHR) },
+    { header: 'Max HR', width: 6, value: (g) => formatInt(g.maxHR) },
+    { header: 'Avg HR', width: 6, value: (g) => formatInt(g.avgHR) },
+  ];
+
+  // HR recovery after the end of each lap
+  const RECOVERY_COLUMNS = [
+    { header: 'Lap', width: 3, value: (s) => s.lapNumber.toString() },
+    { header: 'End HR', width: 6, value: (s) => formatInt(s.recovery?.endHR) },
+    { header: 'HRR 30s', width: 7, value: (s) => formatInt(s.recovery?.drops[30]) },
+    { header: 'HRR 60s', width: 7, value: (s) => formatInt(s.recovery?.drops[60]) },
+    { header: 'HRR 120s', width: 8, value: (s) => formatInt(s.recovery?.drops[120]) },
+    { header: 'Below thr', width: 9,
+      value: (s) => (s.recovery?.timeToThreshold != null ? formatDuration(s.recovery.timeToThreshold) : '--:--') },
+  ];
+
+  // Beat-to-beat HRV from chest strap RR intervals
+  const HRV_COLUMNS = [
+    { header: 'Lap', width: 3, value: (s) => s.lapNumber.toString() },
+    { header: 'Beats', width: 5, value: (s) => String(s.hrv.beats) },
+    { header: 'Mean RR', width: 7, value: (s) => formatInt(s.hrv.meanRR) },
+    { header: 'RMSSD', width: 5, value: (s) => formatFixed(s.hrv.rmssd, 1) },
+    { header: 'SDNN', width: 5, value: (s) => formatFixed(s.hrv.sdnn, 1) },
+    { header: 'Artifacts', width: 9, value: (s) => formatFixed(s.hrv.artifacts, 1) + '%' },
+    { header: 'DFA a1', width: 6, value: (s) => formatFixed(s.hrv.alpha1, 2) },
+  ];
+
+  function generateHrvText(stats) {
+    const rows = stats.filter((s) => s.hrv);
+    if (rows.length === 0) return '';
+    return [
+      'Heart rate variability (RR in ms; DFA a1 for laps with 200+ clean beats)',
+      formatTable(HRV_COLUMNS, rows),
+    ].join('\n');
+  }
+
+  // Planned step of a structured workout next to what was done
+  const WORKOUT_COLUMNS = [
+    { header: 'Lap', width: 3, value: lapCell },
+    { header: 'Step', width: 12, value: (s) => s.workout.name.slice(0, 12) },
+    { header: 'Planned', width: 13, value: (s) => formatStepDuration(s.workout.duration) },
+    { header: 'Actual', width: 9,
+      value: (s) => (s.workout.duration?.type === 'distance' ? formatDistance(s.totalDistance) : formatDuration(s.elapsedTime)) },
+    { header: 'Target', width: 21, value: (s) => formatTarget(s.workout.target) },
+    { header: 'Avg', width: 10, value: (s) => formatTargetActual(s) },
+    { header: 'In range', width: 8, value: (s) => (s.workout.inRange != null ? formatInt(s.workout.inRange) + '%' : '--') },
+  ];
+
+  function formatStepDuration(d) {
+    if (!d) return '--';
+    if (d.type === 'time') return formatDuration(d.value);
+    if (d.type === 'distance') return formatDistance(d.value);
+    if (d.type === 'hr_less') return `HR < ${formatInt(d.value)}`;
+    if (d.type === 'hr_greater') return `HR > ${formatInt(d.value)}`;
+    return 'Lap button';
+  }
+
+  // Target range in display units; speed targets follow the pace/speed setting
+  const TARGET_LABELS = { speed: 'Speed', heart_rate: 'HR', power: 'Power', cadence: 'Cadence' };
+
+  function formatTarget(t) {
+    if (!t) return 'No target';
+    if (t.low == null) return `${TARGET_LABELS[t.type]} zone ${t.zone}`;
+    const range = (lo, hi, unit) => (hi === Infinity ? `> ${lo}` : `${lo}-${hi}`) + ` ${unit}`;
+    const zone = t.zone ? `Z${t.zone} ` : '';
+    if (t.type === 'heart_rate') return zone + range(formatInt(t.low), formatInt(t.high), 'bpm');
+    if (t.type === 'power') return range(formatInt(t.low), formatInt(t.high), 'W');
+    if (t.type === 'cadence') return range(formatInt(t.low), formatInt(t.high), cadenceUnit());
+    const speed = (v) => formatSpeed(v > 0 && v !== Infinity ? 1000 / v : null);
+    return speedMode() === 'speed' && !swimMode()
+      ? `${speed(t.low)} - ${speed(t.high)}`
+      : `${speed(t.high)} - ${speed(t.low)}`;
+  }
+
+  function formatTargetActual(s) {
+    switch (s.workout.target?.type) {
+      case 'speed': return formatSpeed(s.avgPace);
+      case 'power': return `${formatInt(s.power?.avg)} W`;
+      case 'cadence': return `${formatInt(s.cadence?.avg)} ${cadenceUnit()}`;
+      default: return `${formatInt(s.avgHR)} bpm`;
+    }
+  }
+
+  function generateWorkoutText(stats) {
+    const rows = stats.filter((s) => s.workout);
+    if (rows.length === 0) return '';
+    const name = fitData.workout?.[0]?.wkt_name;
+    return [
+      `Workout targets${name ? ` (${name})` : ''} \u2014 in range = share of the lap's time inside the target`,
+      formatTable(WORKOUT_COLUMNS, rows),
+    ].join('\n');
+  }
+
+  function generateRecoveryText(stats) {
+    if (!settings.recovery.show) return '';
+    // Recovery only matters after work laps once intervals are classified
+    const classified = stats.some((s) => s.lapType);
+    const rows = stats.filter((s) => s.recovery && (!classified || s.lapType === 'work'));
+    if (rows.length === 0) return '';
+    const title = `HR recovery after ${classified ? 'work laps' : 'each lap'} (bpm drop; time below ${settings.recovery.threshold} bpm)`;
+    return [title, formatTable(RECOVERY_COLUMNS, rows)].join('\n');
+  }
+
+  function generateDecouplingText(stats) {
+    // Boundary samples can be matched to two laps; count them once
+    const records = Array.from(new Set(stats.flatMap((s) => s.records || [])));
+    const d = computeDecoupling(records);
+    if (!d) return '';
+    const unit = d.key === 'power' ? 'W' : 'm/min';
+    const half = (label, h) =>
+      `  ${label}: ${h.output.toFixed(d.key === 'power' ? 0 : 1)} ${unit} @ ${Math.round(h.hr)} bpm (EF ${h.ef.toFixed(2)})`;
+    const sign = (v) => (v >= 0 ? '+' : '') + v.toFixed(1) + '%';
+    return [
+      `Aerobic decoupling (${d.key === 'power' ? 'Pw:HR' : 'Pa:HR'}, selected laps)`,
+      half('1st half', d.first),
+      half('2nd half', d.second),
+      `  Decoupling: ${sign(d.decoupling)}   HR drift: ${sign(d.hrDrift)}`,
+    ].join('\n');
+  }
+
+  function generateGroupsText(stats) {
+    const groups = new Map();
+    for (const s of stats) {
+      if (!s.group) continue;
+      // By id: two separate sets can share a label ("4×400m")
+      if (!groups.has(s.groupId)) groups.set(s.groupId, []);
+      groups.get(s.groupId).push(s);
+    }
+    if (groups.size === 0) return '';
+    const rows = Array.from(groups.values(), (laps) => ({ label: laps[0].group, ...aggregateLaps(laps) }));
+    return ['Interval groups', formatTable(GROUP_COLUMNS, rows)].join('\n');
+  }
+
+  function visibleColumns(columns, stats) {
+    return columns.filter((c) => !c.optional || stats.some(c.optional));
+  }
+
+  function columnHeader(c) {
+    return typeof c.header === 'function' ? c.header() : c.header;
+  }
+
+  function formatTable(columns, stats) {
+    const header = columns
+      .map((c, i) => (i === 0 ? columnHeader(c).padEnd(c.width + 2) : ` ${columnHeader(c).padEnd(c.width)} `))
+      .join('|').trimEnd();
+    const sep = columns.map((c) => '-'.repeat(c.width + 2)).join('|');
+    const rows = stats.map((s) =>
+      columns.map((c) => ` ${c.value(s).padStart(c.width)} `).join('|').trimEnd()
+    );
+    return [header, sep, ...rows].join('\n');
   }
 
   function generateStatsText(stats) {
     if (stats.length === 0) return 'No laps selected.';
 
-    const header = 'Lap  | Distance  | Avg Pace  | Min HR | Max HR | Avg HR | Min HR @';
-    const sep = '-----|-----------|-----------|--------|--------|--------|----------';
+    const profile = sportProfile(fitData);
+    const lines = [formatTable(statColumns(stats), stats)];
+    if (stats.some((s) => s.hrQuality?.flagged)) {
+      lines.push(`* Unreliable HR: ${settings.hrClean.flagShare}% or more of the samples rejected or missing` +
+        (settings.hrClean.enabled ? '' : ' (HR cleaning is off)'));
+    }
+    const workoutText = generateWorkoutText(stats);
+    if (workoutText) lines.push('', workoutText);
+    const lengthsText = profile === 'swimming' ? generateLengthsText(stats) : '';
+    if (lengthsText) lines.push('', lengthsText);
+    const dynColumns = visibleColumns(DYNAMICS_COLUMNS, stats);
+    if (profile !== 'swimming' && profile !== 'strength' && dynColumns.length > 1) {
+      const unit = activitySport(fitData) === 'running' ? 'spm' : 'rpm';
+      lines.push('', `Cadence (${unit}) & running dynamics`, formatTable(dynColumns, stats));
+    }
+    const groupText = generateGroupsText(stats);
+    if (groupText) lines.push('', groupText);
+    const decouplingText = generateDecouplingText(stats);
+    if (decouplingText) lines.push('', decouplingText);
+    const recoveryText = generateRecoveryText(stats);
+    if (recoveryText) lines.push('', recoveryText);
+    const hrvText = generateHrvText(stats);
+    if (hrvText) lines.push('', hrvText);
+    const zoneText = generateZonesText(stats);
+    if (zoneText) lines.push('', zoneText);
+    const devText = generateDevFieldsText(stats);
+    if (devText) lines.push('', devText);
+    return lines.join('\n');
+  }
+
+  function generateDevFieldsText(stats) {
+    const withDev = stats.filter((s) => s.devFields);
+    if (withDev.length === 0) return '';
+
+    const header = 'Lap  | Developer field            |    Min |    Max |    Avg';
+    const sep = '-----|----------------------------|--------|--------|--------';
+    const rows = [];
+    for (const s of withDev) {
+      for (const [name, f] of Object.entries(s.devFields)) {
+        const label = (f.units ? `${name} (${f.units})` : name).slice(0, 26).padEnd(26);
+        const cells = [f.min, f.max, f.avg].map((v) => formatValue(v).padStart(6));
+        rows.push(` ${s.lapNumber.toString().padStart(3)} | ${label} | ${cells.join(' | ')}`);
+      }
+    }
+    return ['Developer data fields', header, sep, ...rows].join('\n');
+  }
+
+  function sumZones(stats) {
+    const totals = new Array(HR_ZONE_COUNT).fill(0);
+    for (const s of stats) {
+      if (!s.timeInZones) continue;
+      s.timeInZones.forEach((t, z) => (totals[z] += t));
+    }
+    return totals;
+  }
+
+  function describeZones(thresholds) {
+    return thresholds.map((bpm, i) => {
+      if (i === 0) return `Z1 <${bpm}`;
+      return `Z${i + 1} ${thresholds[i - 1]}-${bpm - 1}`;
+    }).concat(`Z${HR_ZONE_COUNT} ${thresholds[thresholds.length - 1]}+`).join(', ');
+  }
+
+  function generateZonesText(stats) {
+    const thresholds = hrZoneThresholds(settings.zones);
+    const withZones = stats.filter((s) => s.timeInZones);
+    if (!thresholds || withZones.length === 0) return '';
+
+    const zoneNums = Array.from({ length: HR_ZONE_COUNT }, (_, z) => z + 1);
+    const model = HR_ZONE_MODELS[settings.zones.model] || HR_ZONE_MODELS.maxhr;
+    const title = `Time in HR zones (${model.label}: ${describeZones(thresholds)} bpm)`;
+    const header = 'Lap  |' + zoneNums.map((z) => ` ${('Z' + z).padEnd(8)} `).join('|').trimEnd();
+    const sep = '-----|' + zoneNums.map(() => '----------').join('|');
+    const row = (label, cells) =>
+      (` ${label.padStart(3)} |` + cells.map((c) => ` ${c.padStart(8)} `).join('|')).trimEnd();
+
+    const rows = withZones.map((s) =>
+      row(String(s.lapNumber), s.timeInZones.map(formatDuration))
+    );
+    const totals = sumZones(withZones);
+    const totalTime = totals.reduce((a, b) => a + b, 0);
+    rows.push(sep);
+    rows.push(row('Tot', totals.map(formatDuration)));
+    rows.push(row('%', totals.map((t) => (totalTime > 0 ? Math.round((t / totalTime) * 100) : 0) + '%')));
+
+    return [title, header, sep, ...rows].join('\n');
+  }
+
+  // ── Export (CSV / TSV / Markdown / JSON) ──
+
+  // Flat per-lap fields. `value` is the raw number for JSON (in display
+  // units), `text` the spreadsheet-friendly rendering; optional fields are
+  // dropped when empty and `when` picks between pace and speed.
+  const EXPORT_FIELDS = [
+    { key: 'lap', label: 'Lap', value: (s) => s.lapNumber },
+    { key: 'type', label: 'Type', optional: true, value: (s) => s.lapType ?? null },
+    { key: 'group', label: 'Group', optional: true, value: (s) => s.group ?? null },
+    { key: 'distance', label: 'Distance', unit: () => units().dist,
+      value: (s) => s.totalDistance / units().distMeters, digits: () => settings.display.precision + 1 },
+    { key: 'time', label: 'Time', unit: 's', value: (s) => s.elapsedTime, text: formatDuration },
+    { key: 'moving_time', label: 'Moving Time', unit: 's', optional: true, value: (s) => s.movingTime, text: formatDuration },
+    { key: 'elapsed_time', label: 'Elapsed Time', unit: 's', optional: true, value: (s) => s.clockTime, text: formatDuration },
+    { key: 'avg_pace', label: 'Avg Pace', unit: () => `s/${units().dist}`, when: () => speedMode() === 'pace',
+      value: (s) => paceInUnits(s.avgPace), text: formatPace },
+    { key: 'avg_speed', label: 'Avg Speed', unit: () => units().speed, when: () => speedMode() === 'speed',
+      value: (s) => paceToSpeed(s.avgPace), digits: () => settings.display.precision },
+    { key: 'gap', label: 'GAP', unit: () => `s/${units().dist}`, optional: true, when: () => speedMode() === 'pace',
+      value: (s) => paceInUnits(s.elevation?.gap), text: formatPace },
+    { key: 'gap_speed', label: 'GAP Speed', unit: () => units().speed, optional: true, when: () => speedMode() === 'speed',
+      value: (s) => paceToSpeed(s.elevation?.gap), digits: () => settings.display.precision },
+    { key: 'ascent', label: 'Ascent', unit: () => units().elev, optional: true,
+      value: (s) => (s.elevation ? s.elevation.ascent / units().elevMeters : null), digits: 0 },
+    { key: 'descent', label: 'Descent', unit: () => units().elev, optional: true,
+      value: (s) => (s.elevation ? s.elevation.descent / units().elevMeters : null), digits: 0 },
+    { key: 'grade', label: 'Grade', unit: '%', optional: true, value: (s) => s.elevation?.grade, digits: 1 },
+    { key: 'min_hr', label: 'Min HR', unit: 'bpm', value: (s) => s.minHR, digits: 0 },
+    { key: 'max_hr', label: 'Max HR', unit: 'bpm', value: (s) => s.maxHR, digits: 0 },
+    { key: 'avg_hr', label: 'Avg HR', unit: 'bpm', value: (s) => s.avgHR, digits: 0 },
+    { key: 'min_hr_at', label: 'Min HR @', unit: 's', value: (s) => s.timeToMinHR, text: formatDuration },
+    { key: 'ef', label: 'EF', optional: true, value: (s) => s.efficiency, digits: 2 },
+    { key: 'avg_power', label: 'Avg Power', unit: 'W', optional: true, value: (s) => s.power?.avg, digits: 0 },
+    { key: 'max_power', label: 'Max Power', unit: 'W', optional: true, value: (s) => s.power?.max, digits: 0 },
+    { key: 'np', label: 'NP', unit: 'W', optional: true, value: (s) => s.power?.np, digits: 0 },
+    { key: 'if', label: 'IF', optional: true, value: (s) => s.power?.intensity, digits: 2 },
+    { key: 'tss', label: 'TSS', optional: true, value: (s) => s.power?.tss, digits: 1 },
+    { key: 'w_per_kg', label: 'Power/Weight', unit: 'W/kg', optional: true, value: (s) => s.power?.wkg, digits: 2 },
+    { key: 'avg_cadence', label: 'Avg Cadence', unit: () => cadenceUnit(), optional: true, value: (s) => s.cadence?.avg, digits: 0 },
+    { key: 'min_cadence', label: 'Min Cadence', unit: () => cadenceUnit(), optional: true, value: (s) => s.cadence?.min, digits: 0 },
+    { key: 'max_cadence', label: 'Max Cadence', unit: () => cadenceUnit(), optional: true, value: (s) => s.cadence?.max, digits: 0 },
+    { key: 'vertical_oscillation', label: 'Vertical Oscillation', unit: () => units().fine, optional: true,
+      value: (s) => fineUnits(s.dynamics?.vertical_oscillation), digits: 1 },
+    { key: 'vertical_ratio', label: 'Vertical Ratio', unit: '%', optional: true,
+      value: (s) => s.dynamics?.vertical_ratio, digits: 1 },
+    { key: 'ground_contact_time', label: 'GCT', unit: 'ms', optional: true,
+      value: (s) => s.dynamics?.stance_time, digits: 0 },
+    { key: 'gct_balance_left', label: 'GCT Balance L', unit: '%', optional: true,
+      value: (s) => s.dynamics?.stance_time_balance, digits: 1 },
+    { key: 'step_length', label: 'Step Length', unit: () => units().fine, optional: true,
+      value: (s) => fineUnits(s.dynamics?.step_length), digits: () => (units().fine === 'mm' ? 0 : 1) },
+    { key: 'workout_step', label: 'Workout Step', optional: true, value: (s) => s.workout?.name ?? null },
+    { key: 'target', label: 'Target', optional: true, value: (s) => (s.workout ? formatTarget(s.workout.target) : null) },
+    { key: 'target_in_range', label: 'In Target', unit: '%', optional: true, value: (s) => s.workout?.inRange, digits: 0 },
+    { key: 'hr_rejected', label: 'HR Rejected', unit: '%', optional: true, value: (s) => s.hrQuality?.rejected, digits: 1 },
+    { key: 'hr_missing', label: 'HR Missing', unit: '%', optional: true, value: (s) => s.hrQuality?.missing, digits: 1 },
+    { key: 'hrr_end_hr', label: 'End HR', unit: 'bpm', optional: true, value: (s) => s.recovery?.endHR, digits: 0 },
+    { key: 'hrr_30', label: 'HRR 30s', unit: 'bpm', optional: true, value: (s) => s.recovery?.drops[30], digits: 0 },
+    { key: 'hrr_60', label: 'HRR 60s', unit: 'bpm', optional: true, value: (s) => s.recovery?.drops[60], digits: 0 },
+    { key: 'hrr_120', label: 'HRR 120s', unit: 'bpm', optional: true, value: (s) => s.recovery?.drops[120], digits: 0 },
+    { key: 'hrr_below_threshold', label: 'Below HRR Threshold', unit: 's', optional: true,
+      value: (s) => s.recovery?.timeToThreshold, text: formatDuration },
+    { key: 'stroke', label: 'Stroke', optional: true, value: (s) => (s.swim ? (s.swim.rest ? 'Rest' : s.swim.stroke) : null) },
+    { key: 'lengths', label: 'Lengths', optional: true, value: (s) => s.swim?.lengths, digits: 0 },
+    { key: 'swim_pace', label: 'Pace per 100', unit: () => `s/100${swimUnit(fitData).label}`, optional: true, value: (s) => s.swim?.pace100, text: formatPace },
+    { key: 'strokes', label: 'Strokes', optional: true, value: (s) => s.swim?.strokes, digits: 0 },
+    { key: 'swolf', label: 'SWOLF', optional: true, value: (s) => s.swim?.swolf, digits: 1 },
+    { key: 'hrv_mean_rr', label: 'Mean RR', unit: 'ms', optional: true, value: (s) => s.hrv?.meanRR, digits: 0 },
+    { key: 'hrv_rmssd', label: 'RMSSD', unit: 'ms', optional: true, value: (s) => s.hrv?.rmssd, digits: 1 },
+    { key: 'hrv_sdnn', label: 'SDNN', unit: 'ms', optional: true, value: (s) => s.hrv?.sdnn, digits: 1 },
+    { key: 'hrv_artifacts', label: 'RR Artifacts', unit: '%', optional: true, value: (s) => s.hrv?.artifacts, digits: 1 },
+    { key: 'dfa_alpha1', label: 'DFA a1', optional: true, value: (s) => s.hrv?.alpha1, digits: 2 },
+    ...Array.from({ length: HR_ZONE_COUNT }, (_, z) => ({
+      key: `time_in_z${z + 1}`, label: `Z${z + 1}`, unit: 's', optional: true,
+      value: (s) => s.timeInZones?.[z], text: formatDuration,
+    })),
+  ];
+
+  // Developer fields vary per activity, so their export fields are built on the fly
+  function devExportFields(stats) {
+    const seen = new Map();
+    for (const s of stats) {
+      for (const [name, f] of Object.entries(s.devFields || {})) {
+        if (!seen.has(name)) seen.set(name, f.units);
+      }
+    }
+    return Array.from(seen, ([name, unit]) => ['min', 'max', 'avg'].map((agg) => ({
+      key: `dev_${name}_${agg}`.toLowerCase().replace(/[^a-z0-9]+/g, '_'),
+      label: `${name} ${agg}`,
+      unit,
+      value: (s) => s.devFields?.[name]?.[agg],
+      digits: 2,
+    }))).flat();
+  }
+
+  function exportFields(stats) {
+    const fields = EXPORT_FIELDS.filter(
+      (f) => (!f.when || f.when()) && (!f.optional || stats.some((s) => f.value(s) != null))
+    );
+    return fields.concat(devExportFields(stats));
+  }
+
+  function exportText(field, s) {
+    const v = field.value(s);
+    if (v == null || (typeof v === 'number' && !isFinite(v))) return '';
+    if (field.text) return field.text(v);
+    const digits = typeof field.digits === 'function' ? field.digits() : field.digits;
+    if (typeof v === 'number' && digits != null) return v.toFixed(digits);
+    return String(v);
+  }
+
+  function exportUnit(field) {
+    return typeof field.unit === 'function' ? field.unit() : field.unit;
+  }
+
+  function exportHeader(field) {
+    // Time-like fields are rendered as m:ss, whatever their raw unit
+    if (field.key === 'swim_pace') return `${field.label} ${swimUnit(fitData).label}`;
+    if (field.text) return field.key === 'avg_pace' || field.key === 'gap' ? `${field.label} (/${units().dist})` : field.label;
+    return field.unit ? `${field.label} (${exportUnit(field)})` : field.label;
+  }
+
+  function cadenceUnit() {
+    return activitySport(fitData) === 'running' ? 'spm' : 'rpm';
+  }
+
+  function csvCell(text, delimiter) {
+    if (text.includes(delimiter) || text.includes('"') || text.includes('\n')) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
 
-    const rows = stats.map((s) => {
-      const lap = s.lapNumber.toString().padStart(3);
-      const dist = (formatDist(s.totalDistance) + ' km').padStart(9);
-      const pace = (formatPace(s.avgPace) + '/km').padStart(9);
-      const mi = (s.minHR != null ? String(s.minHR) : '--').padStart(6);
-      const mx = (s.maxHR != null ? String(s.maxHR) : '--').padStart(6);
-      const av = (s.avgHR != null ? String(s.avgHR) : '--').padStart(6);
-      const at = (s.timeToMinHR != null ? formatPace(s.timeToMinHR) : '--:--').padStart(8);
-      return ` ${lap} | ${dist} | ${pace} | ${mi} | ${mx} | ${av} | ${at}`;
+  function generateDelimited(stats, delimiter) {
+    const fields = exportFields(stats);
+    const lines = [fields.map((f) => csvCell(exportHeader(f), delimiter)).join(delimiter)];
+    for (const s of stats) {
+      lines.push(fields.map((f) => csvCell(exportText(f, s), delimiter)).join(delimiter));
+    }
+    return lines.join('\n');
+  }
+
+  function generateMarkdown(stats) {
+    const fields = exportFields(stats);
+    const esc = (t) => t.replace(/\|/g, '\\|');
+    const lines = [
+      `| ${fields.map((f) => esc(exportHeader(f))).join(' | ')} |`,
+      `|${fields.map((f) => (f.key === 'lap' || f.key === 'type' || f.key === 'group' ? ' --- ' : ' ---: ')).join('|')}|`,
+    ];
+    for (const s of stats) {
+      lines.push(`| ${fields.map((f) => esc(exportText(f, s)) || '--').join(' | ')} |`);
+    }
+    return lines.join('\n');
+  }
+
+  function generateJson(stats) {
+    const fields = exportFields(stats);
+    const unitMap = {};
+    for (const f of fields) {
+      if (f.unit) unitMap[f.key] = exportUnit(f);
+    }
+    const round = (v) => (typeof v === 'number' && isFinite(v) ? Math.round(v * 1000) / 1000 : v ?? null);
+    const laps = stats.map((s) => {
+      const row = {};
+      for (const f of fields) row[f.key] = round(f.value(s));
+      return row;
     });
+    const zoneThresholds = hrZoneThresholds(settings.zones);
+    return JSON.stringify({
+      activityId: currentActivityId,
+      sport: activitySport(fitData),
+      exportedAt: new Date().toISOString(),
+      units: unitMap,
+      hrZones: zoneThresholds ? { model: settings.zones.model, thresholds: zoneThresholds } : null,
+      laps,
+    }, null, 2);
+  }
 
-    return [header, sep, ...rows].join('\n');
+  const EXPORT_FORMATS = {
+    text: { ext: 'txt', mime: 'text/plain', generate: generateStatsText },
+    csv: { ext: 'csv', mime: 'text/csv', generate: (stats) => generateDelimited(stats, ',') },
+    tsv: { ext: 'tsv', mime: 'text/tab-separated-values', generate: (stats) => generateDelimited(stats, '\t') },
+    markdown: { ext: 'md', mime: 'text/markdown', generate: generateMarkdown },
+    json: { ext: 'json', mime: 'application/json', generate: generateJson },
+  };
+
+  function exportStats(format, stats) {
+    return (EXPORT_FORMATS[format] || EXPORT_FORMATS.text).generate(stats);
+  }
+
+  function downloadFile(name, mime, content) {
+    const url = URL.createObjectURL(new Blob([content], { type: mime }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
   }
 
   // ── UI ──
@@ -308,6 +1391,9 @@
       <div class="gla-panel-inner">
         <div class="gla-header">
           <h2>Lap Analyzer</h2>
+          <span class="gla-cache-note" id="gla-cache-note"></span>
+          <button class="gla-refresh" id="gla-refresh" style="display:none"
+            title="Download and parse the activity again">Refresh from Garmin</button>
           <button class="gla-close">&times;</button>
         </div>
         <div class="gla-content">
@@ -316,18 +1402,180 @@
             <span id="gla-loading-text">Loading...</span>
           </div>
           <div class="gla-error" id="gla-error" style="display:none"></div>
+          <div class="gla-warning" id="gla-warning" style="display:none"></div>
           <div id="gla-laps" style="display:none">
+            <div class="gla-split-controls">
+              <label>Laps
+                <select id="gla-split-mode">
+                  <option value="device">Device laps</option>
+                  <option value="distance">Re-split by distance</option>
+                  <option value="time">Re-split by time</option>
+                  <option value="range">Custom range</option>
+                  <option value="auto">Auto-detect intervals</option>
+                </select>
+              </label>
+              <span class="gla-split-every" id="gla-split-every" style="display:none">
+                every <input type="number" id="gla-split-value" min="0.1" step="0.1">
+                <span id="gla-split-unit">km</span>
+              </span>
+              <span class="gla-split-range" id="gla-split-range" style="display:none">
+                from <input type="number" id="gla-split-from" min="0" step="0.1">
+                to <input type="number" id="gla-split-to" min="0" step="0.1">
+                <select id="gla-split-basis">
+                  <option value="distance">km</option>
+                  <option value="time">min</option>
+                </select>
+              </span>
+              <button id="gla-split-apply" style="display:none">Apply</button>
+              <span class="gla-split-msg" id="gla-split-msg"></span>
+            </div>
             <div class="gla-lap-controls">
               <button id="gla-select-all">Select All</button>
               <button id="gla-deselect-all">Deselect All</button>
+              <button id="gla-select-work" class="gla-interval-btn">Select Work Reps</button>
+              <button id="gla-select-recovery" class="gla-interval-btn">Select Recoveries</button>
             </div>
             <div class="gla-lap-list" id="gla-lap-list"></div>
           </div>
+          <div class="gla-map" id="gla-map" style="display:none"></div>
+          <div class="gla-chart-section" id="gla-chart-section" style="display:none">
+            <div class="gla-chart-controls">
+              <label><input type="checkbox" id="gla-chart-hr" checked> HR</label>
+              <label><input type="checkbox" id="gla-chart-pace" checked> <span id="gla-chart-pace-label">Pace</span></label>
+              <label><input type="checkbox" id="gla-chart-power" checked> Power</label>
+              <label class="gla-chart-overlay"><input type="checkbox" id="gla-chart-overlay"> Overlay reps</label>
+            </div>
+            <div class="gla-chart" id="gla-chart"></div>
+          </div>
           <div class="gla-output" id="gla-output" style="display:none">
-            <h3>Stats (from raw FIT data)</h3>
+            <div class="gla-output-header">
+              <h3>Stats (from raw FIT data)</h3>
+              <label title="Drop out-of-range values, spikes and cadence lock-in from the HR samples (see Settings)">
+                <input type="checkbox" id="gla-hr-clean"> Clean HR artifacts
+              </label>
+            </div>
             <pre id="gla-stats-text"></pre>
-            <button id="gla-copy" class="gla-copy-btn">Copy to Clipboard</button>
+            <div class="gla-zone-bar" id="gla-zone-bar"></div>
+            <div class="gla-export-controls">
+              <select id="gla-export-format">
+                <option value="text">Text table</option>
+                <option value="csv">CSV</option>
+                <option value="tsv">TSV (spreadsheets)</option>
+                <option value="markdown">Markdown</option>
+                <option value="json">JSON</option>
+              </select>
+              <button id="gla-copy" class="gla-copy-btn">Copy to Clipboard</button>
+              <button id="gla-download" class="gla-copy-btn">Download</button>
+            </div>
           </div>
+          <details class="gla-compare" id="gla-compare" style="display:none">
+            <summary>Compare with other activities</summary>
+            <div class="gla-compare-controls">
+              <input type="text" id="gla-compare-id" list="gla-compare-recent" placeholder="Activity ID or URL">
+              <datalist id="gla-compare-recent"></datalist>
+              <button id="gla-compare-add">Add</button>
+              <label>Align laps
+                <select id="gla-compare-align">
+                  <option value="index">by index</option>
+                  <option value="distance">by distance</option>
+                </select>
+              </label>
+              <span class="gla-compare-msg" id="gla-compare-msg"></span>
+            </div>
+            <div class="gla-compare-list" id="gla-compare-list"></div>
+            <pre id="gla-compare-text" style="display:none"></pre>
+          </details>
+          <details class="gla-compare gla-history" id="gla-history">
+            <summary>History</summary>
+            <div class="gla-compare-controls">
+              <span class="gla-history-usage" id="gla-history-usage"></span>
+              <button id="gla-history-clear">Clear cache</button>
+            </div>
+            <div class="gla-history-list" id="gla-history-list"></div>
+            <pre id="gla-history-text" style="display:none"></pre>
+          </details>
+          <details class="gla-settings" id="gla-settings">
+            <summary>Settings</summary>
+            <div class="gla-settings-group">
+              <h4>Display</h4>
+              <label>Units
+                <select id="gla-display-units">
+                  <option value="metric">Metric (km, m)</option>
+                  <option value="imperial">Imperial (mi, ft, in)</option>
+                </select>
+              </label>
+              <label>Decimals
+                <select id="gla-display-precision">
+                  <option value="1">1</option>
+                  <option value="2">2</option>
+                  <option value="3">3</option>
+                </select>
+              </label>
+              <label>Running
+                <select id="gla-display-running" class="gla-speed-mode">
+                  <option value="pace">Pace</option>
+                  <option value="speed">Speed</option>
+                </select>
+              </label>
+              <label>Cycling
+                <select id="gla-display-cycling" class="gla-speed-mode">
+                  <option value="pace">Pace</option>
+                  <option value="speed">Speed</option>
+                </select>
+              </label>
+              <label>Other sports
+                <select id="gla-display-other" class="gla-speed-mode">
+                  <option value="pace">Pace</option>
+                  <option value="speed">Speed</option>
+                </select>
+              </label>
+            </div>
+            <div class="gla-settings-group">
+              <h4>Heart rate zones</h4>
+              <label>Model
+                <select id="gla-zone-model">
+                  <option value="maxhr">% max HR</option>
+                  <option value="hrr">% HR reserve (Karvonen)</option>
+                  <option value="lthr">% lactate threshold HR</option>
+                </select>
+              </label>
+              <label>Max HR <input type="number" id="gla-zone-max" min="100" max="240"></label>
+              <label>Resting HR <input type="number" id="gla-zone-rest" min="20" max="120"></label>
+              <label>LTHR <input type="number" id="gla-zone-lthr" min="80" max="230"></label>
+              <label class="gla-wide">Z2&ndash;Z5 lower bounds (%)
+                <input type="text" id="gla-zone-bounds" placeholder="60, 70, 80, 90">
+              </label>
+            </div>
+            <div class="gla-settings-group">
+              <h4>Power</h4>
+              <label>FTP / CP (W) <input type="number" id="gla-power-ftp" min="50" max="600"></label>
+              <label>Body weight (kg) <input type="number" id="gla-power-weight" min="30" max="200" step="0.1"></label>
+            </div>
+            <div class="gla-settings-group">
+              <h4>HR recovery</h4>
+              <label class="gla-check"><input type="checkbox" id="gla-hrr-show"> Show recovery columns</label>
+              <label>Threshold (bpm) <input type="number" id="gla-hrr-threshold" min="60" max="200"></label>
+            </div>
+            <div class="gla-settings-group">
+              <h4>HR cleaning</h4>
+              <label>Max change (bpm/s) <input type="number" id="gla-hr-max-rate" min="1" max="50"></label>
+              <label>Outlier (bpm) <input type="number" id="gla-hr-outlier" min="5" max="100"></label>
+              <label>Median smoothing
+                <select id="gla-hr-smoothing">
+                  <option value="0">Off</option>
+                  <option value="3">3 samples</option>
+                  <option value="5">5 samples</option>
+                  <option value="9">9 samples</option>
+                </select>
+              </label>
+              <label>Flag laps at (%) <input type="number" id="gla-hr-flag" min="1" max="100"></label>
+            </div>
+            <div class="gla-settings-group">
+              <h4>Cache</h4>
+              <label class="gla-check"><input type="checkbox" id="gla-cache-enabled"> Keep analyzed activities in this browser</label>
+              <label>Max size (MB) <input type="number" id="gla-cache-max" min="5" max="2000"></label>
+            </div>
+          </details>
         </div>
       </div>
     `;
@@ -340,39 +1588,309 @@
     panel.addEventListener('click', (e) => {
       if (e.target === panel) panel.style.display = 'none';
     });
-  }
 
-  function showLoading(text) {
-    const el = (id) => document.getElementById(id);
-    const loading = el('gla-loading');
-    if (loading) {
-      loading.style.display = 'flex';
-      el('gla-loading-text').textContent = text;
-    }
-    const err = el('gla-error');
-    if (err) err.style.display = 'none';
-    const laps = el('gla-laps');
-    if (laps) laps.style.display = 'none';
-    const out = el('gla-output');
-    if (out) out.style.display = 'none';
-  }
+    const list = panel.querySelector('#gla-lap-list');
+    list.addEventListener('change', updateStats);
+    list.addEventListener('mouseover', (e) => {
+      const cb = e.target.closest('.gla-lap-item')?.querySelector('.gla-lap-checkbox');
+      if (cb && routeMap) routeMap.highlight(parseInt(cb.dataset.index));
+    });
+    list.addEventListener('mouseleave', () => routeMap?.highlight(null));
+    panel.querySelector('#gla-select-all').addEventListener('click', () => {
+      list.querySelectorAll('.gla-lap-checkbox').forEach((cb) => (cb.checked = true));
+      updateStats();
+    });
+    panel.querySelector('#gla-deselect-all').addEventListener('click', () => {
+      list.querySelectorAll('.gla-lap-checkbox').forEach((cb) => (cb.checked = false));
+      updateStats();
+    });
+    panel.querySelector('#gla-select-work').addEventListener('click', () => selectLapType('work'));
+    panel.querySelector('#gla-select-recovery').addEventListener('click', () => selectLapType('recovery'));
+    panel.querySelector('#gla-copy').addEventListener('click', copyStats);
+    panel.querySelector('.gla-chart-controls').addEventListener('change', () => renderChart(selectedStats()));
+    panel.querySelector('#gla-download').addEventListener('click', downloadStats);
+
+    panel.querySelector('#gla-split-mode').addEventListener('change', (e) => {
+      showSplitInputs(e.target.value);
+      if (e.target.value === 'device') applySplit();
+    });
+    panel.querySelector('#gla-split-apply').addEventListener('click', applySplit);
 
-  function showError(msg) {
-    const loading = document.getElementById('gla-loading');
-    if (loading) loading.style.display = 'none';
-    const err = document.getElementById('gla-error');
-    if (err) {
-      err.style.display = 'block';
-      err.textContent = msg;
+    panel.querySelector('#gla-refresh').addEventListener('click', () => fetchAndDisplay(true));
+    panel.querySelector('#gla-history').addEventListener('toggle', (e) => {
+      if (e.target.open) renderHistory();
+    });
+    panel.querySelector('#gla-history-clear').addEventListener('click', async () => {
+      try {
+        await cacheClear();
+      } catch (e) {
+        console.warn('[GLA] Could not clear cache:', e.message);
+      }
+      panel.querySelector('#gla-history-text').style.display = 'none';
+      renderHistory();
+    });
+    panel.querySelector('#gla-history-list').addEventListener('click', async (e) => {
+      const btn = e.target.closest('button[data-id]');
+      if (!btn) return;
+      if (btn.classList.contains('gla-history-view')) {
+        viewHistory(btn.dataset.id);
+      } else {
+        await cacheDelete([btn.dataset.id]).catch((err) => console.warn('[GLA] Could not delete:', err.message));
+        renderHistory();
+      }
+    });
+    panel.querySelector('#gla-compare').addEventListener('toggle', (e) => {
+      if (e.target.open) fillRecentList();
+    });
+    panel.querySelector('#gla-compare-add').addEventListener('click', addComparison);
+    panel.querySelector('#gla-compare-id').addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') addComparison();
+    });
+    panel.querySelector('#gla-compare-align').addEventListener('change', () => renderComparison(selectedStats()));
+    panel.querySelector('#gla-compare-list').addEventListener('click', (e) => {
+      const btn = e.target.closest('.gla-compare-remove');
+      if (!btn) return;
+      comparisons = comparisons.filter((c) => c.id !== btn.dataset.id);
+      renderComparisonList();
+      renderComparison(selectedStats());
+    });
+
+    panel.querySelector('#gla-zone-model').addEventListener('change', (e) => {
+      settings.zones.model = e.target.value;
+      panel.querySelector('#gla-zone-bounds').value = settings.zones.bounds[e.target.value].join(', ');
+      applySettings();
+    });
+    // Raw vs cleaned HR, outside the settings so it can be flipped while reading the table
+    panel.querySelector('#gla-hr-clean').addEventListener('change', (e) => {
+      settings.hrClean.enabled = e.target.checked;
+      applySettings();
+    });
+    panel.querySelector('#gla-settings').addEventListener('change', (e) => {
+      if (e.target.id !== 'gla-zone-model') readSettingsForm();
+    });
+  }
+
+  function fillSettingsForm() {
+    const el = (id) => panel.querySelector('#' + id);
+    const z = settings.zones;
+    el('gla-zone-model').value = z.model;
+    el('gla-zone-max').value = z.maxHR;
+    el('gla-zone-rest').value = z.restHR;
+    el('gla-zone-lthr').value = z.lthr;
+    el('gla-zone-bounds').value = z.bounds[z.model].join(', ');
+    el('gla-power-ftp').value = settings.power.ftp;
+    el('gla-power-weight').value = settings.power.weight;
+    el('gla-hrr-show').checked = settings.recovery.show;
+    el('gla-hrr-threshold').value = settings.recovery.threshold;
+    el('gla-hr-clean').checked = settings.hrClean.enabled;
+    el('gla-hr-max-rate').value = settings.hrClean.maxRate;
+    el('gla-hr-outlier').value = settings.hrClean.outlier;
+    el('gla-hr-smoothing').value = settings.hrClean.smoothing;
+    el('gla-hr-flag').value = settings.hrClean.flagShare;
+    const d = settings.display;
+    el('gla-display-units').value = d.units;
+    el('gla-display-precision').value = d.precision;
+    el('gla-display-running').value = d.speed.running;
+    el('gla-display-cycling').value = d.speed.cycling;
+    el('gla-display-other').value = d.speed.other;
+    el('gla-cache-enabled').checked = settings.cache.enabled;
+    el('gla-cache-max').value = settings.cache.maxMB;
+  }
+
+  function readSettingsForm() {
+    const el = (id) => panel.querySelector('#' + id);
+    const num = (id, fallback) => {
+      const v = parseFloat(el(id).value);
+      return v > 0 ? v : fallback;
+    };
+    const z = settings.zones;
+    z.maxHR = num('gla-zone-max', z.maxHR);
+    z.restHR = num('gla-zone-rest', z.restHR);
+    z.lthr = num('gla-zone-lthr', z.lthr);
+
+    const boundsInput = el('gla-zone-bounds');
+    const bounds = parseZoneBounds(boundsInput.value);
+    boundsInput.classList.toggle('gla-invalid', !bounds);
+    if (bounds) z.bounds[z.model] = bounds;
+
+    settings.power.ftp = num('gla-power-ftp', settings.power.ftp);
+    settings.power.weight = num('gla-power-weight', settings.power.weight);
+    settings.recovery.show = el('gla-hrr-show').checked;
+    settings.recovery.threshold = num('gla-hrr-threshold', settings.recovery.threshold);
+    const c = settings.hrClean;
+    c.maxRate = num('gla-hr-max-rate', c.maxRate);
+    c.outlier = num('gla-hr-outlier', c.outlier);
+    c.smoothing = parseInt(el('gla-hr-smoothing').value, 10);
+    c.flagShare = num('gla-hr-flag', c.flagShare);
+
+    const d = settings.display;
+    const unitsChanged = d.units !== el('gla-display-units').value;
+    d.units = el('gla-display-units').value;
+    d.precision = parseInt(el('gla-display-precision').value, 10);
+    d.speed.running = el('gla-display-running').value;
+    d.speed.cycling = el('gla-display-cycling').value;
+    d.speed.other = el('gla-display-other').value;
+    if (unitsChanged && fitData) showSplitInputs(el('gla-split-mode').value);
+
+    const maxMB = settings.cache.maxMB;
+    settings.cache.enabled = el('gla-cache-enabled').checked;
+    settings.cache.maxMB = num('gla-cache-max', settings.cache.maxMB);
+    if (settings.cache.maxMB < maxMB) {
+      evictCache(cacheLimit(), currentActivityId).catch((e) => console.warn('[GLA] Could not evict:', e.message));
+    }
+
+    applySettings();
+  }
+
+  function applySettings() {
+    saveSettings();
+    if (fitData && allLapStats.length > 0) {
+      // Re-render so lap labels follow the display settings; keep the selection
+      const checked = new Set(
+        Array.from(document.querySelectorAll('.gla-lap-checkbox:checked'), (cb) => parseInt(cb.dataset.index))
+      );
+      renderLaps(checked);
+    }
+  }
+
+  // ── Virtual laps (re-split) ──
+
+  function currentLaps(messages = fitData) {
+    if (lapSplit.mode === 'device') return messages.lap || [];
+    return buildVirtualLaps(messages.record || [], lapSplit);
+  }
+
+  function showSplitInputs(mode) {
+    const el = (id) => panel.querySelector('#' + id);
+    el('gla-split-every').style.display = mode === 'distance' || mode === 'time' ? 'inline' : 'none';
+    el('gla-split-range').style.display = mode === 'range' ? 'inline' : 'none';
+    el('gla-split-apply').style.display = mode === 'device' ? 'none' : 'inline-block';
+    el('gla-split-unit').textContent = mode === 'time' ? 'min' : units().dist;
+    panel.querySelector('#gla-split-basis option[value="distance"]').textContent = units().dist;
+    if (mode === 'distance' && !el('gla-split-value').value) el('gla-split-value').value = 1;
+    if (mode === 'time' && !el('gla-split-value').value) el('gla-split-value').value = 5;
+    el('gla-split-msg').textContent = '';
+  }
+
+  function readSplitForm() {
+    const el = (id) => panel.querySelector('#' + id);
+    const mode = el('gla-split-mode').value;
+    const value = parseFloat(el('gla-split-value').value);
+    if (mode === 'distance') return { mode, every: value * units().distMeters };
+    if (mode === 'time') return { mode, every: value * 60 };
+    if (mode === 'auto') return { mode };
+    if (mode === 'range') {
+      const basis = el('gla-split-basis').value;
+      const scale = basis === 'time' ? 60 : units().distMeters;
+      return {
+        mode, basis,
+        from: parseFloat(el('gla-split-from').value) * scale,
+        to: parseFloat(el('gla-split-to').value) * scale,
+      };
+    }
+    return { mode: 'device' };
+  }
+
+  function applySplit() {
+    const split = readSplitForm();
+    const msg = panel.querySelector('#gla-split-msg');
+    const laps = split.mode === 'device' ? fitData.lap || [] : buildVirtualLaps(fitData.record || [], split);
+    if (laps.length === 0) {
+      msg.textContent = {
+        device: 'No device laps in this activity.',
+        auto: 'No clear work/recovery pattern found.',
+      }[split.mode] || 'No records in that range.';
+      return;
+    }
+    msg.textContent = '';
+    lapSplit = split;
+    renderLaps();
+  }
+
+  function statsOptions(messages = fitData) {
+    return {
+      zoneThresholds: hrZoneThresholds(settings.zones),
+      sport: activitySport(messages),
+      profile: sportProfile(messages),
+      devFieldUnits: devFieldUnits(messages.field_description),
+      power: settings.power,
+      recoveryThreshold: settings.recovery.threshold,
+      hrClean: settings.hrClean.enabled ? settings.hrClean : null,
+      hrFlagShare: settings.hrClean.flagShare,
+      hrvBeats: hrvBeats(messages.hrv),
+      workoutSteps: messages.workout_step || null,
+      maxHR: settings.zones.maxHR,
+      pauses: timerPauses(messages.event),
+      swim: activitySport(messages) === 'swimming'
+        ? { lengths: messages.length || [], unit: swimUnit(messages) }
+        : null,
+    };
+  }
+
+  function showLoading(text) {
+    const el = (id) => document.getElementById(id);
+    const loading = el('gla-loading');
+    if (loading) {
+      loading.style.display = 'flex';
+      el('gla-loading-text').textContent = text;
     }
+    const err = el('gla-error');
+    if (err) err.style.display = 'none';
+    const warning = el('gla-warning');
+    if (warning) warning.style.display = 'none';
+    const laps = el('gla-laps');
+    if (laps) laps.style.display = 'none';
+    const out = el('gla-output');
+    if (out) out.style.display = 'none';
+    const compare = el('gla-compare');
+    if (compare) compare.style.display = 'none';
+  }
+
+  function showError(msg) {
+    const loading = document.getElementById('gla-loading');
+    if (loading) loading.style.display = 'none';
+    const err = document.getElementById('gla-error');
+    if (err) {
+      err.style.display = 'block';
+      err.textContent = msg;
+    }
+  }
+
+  function showWarnings(warnings) {
+    const banner = document.getElementById('gla-warning');
+    banner.style.display = warnings.length > 0 ? 'block' : 'none';
+    banner.innerHTML = warnings.length === 0 ? '' : `
+      <strong>This file may be incomplete or corrupted — stats could be wrong.</strong>
+      <ul>${warnings.map((w) => `<li>${w}</li>`).join('')}</ul>`;
   }
 
   function displayLaps() {
     document.getElementById('gla-loading').style.display = 'none';
+    showWarnings(fitWarnings(fitData.diagnostics));
     document.getElementById('gla-laps').style.display = 'block';
     document.getElementById('gla-output').style.display = 'block';
+    // Comparisons fetch other activities through Garmin Connect
+    document.getElementById('gla-compare').style.display = LOCAL_PAGE ? 'none' : 'block';
+
+    // Pool swims and treadmills without a foot pod have no per-sample distance
+    const hasDistance = (fitData.record || []).some((r) => r.distance != null);
+
+    // Unlapped activities start out split every kilometer (or 5 minutes)
+    const hasDeviceLaps = (fitData.lap || []).length > 0;
+    if (!hasDeviceLaps && lapSplit.mode === 'device') {
+      lapSplit = hasDistance ? { mode: 'distance', every: 1000 } : { mode: 'time', every: 300 };
+    }
+    panel.querySelector('#gla-split-mode option[value="device"]').disabled = !hasDeviceLaps;
+    panel.querySelector('#gla-split-mode option[value="distance"]').disabled = !hasDistance;
+    panel.querySelector('#gla-split-mode').value = lapSplit.mode;
+    showSplitInputs(lapSplit.mode);
 
-    const laps = fitData.lap || [];
+    fillSettingsForm();
+    renderLaps();
+  }
+
+  function renderLaps(selected = null) {
+    const laps = currentLaps();
     const records = fitData.record || [];
 
     if (laps.length === 0) {
@@ -380,47 +1898,377 @@
       return;
     }
 
-    allLapStats = computeLapStats(laps, records);
+    computeAllStats(laps, records);
+    cacheStats(currentActivityId, allLapStats, lapSplit, fitData);
 
     const list = document.getElementById('gla-lap-list');
     list.innerHTML = '';
     allLapStats.forEach((s, i) => {
       const label = document.createElement('label');
       label.className = 'gla-lap-item';
-      const duration = formatPace(s.elapsedTime);
+      const badge = (s.lapType
+        ? `<span class="gla-lap-type gla-type-${s.lapType}" title="${s.group}">${LAP_TYPE_LABELS[s.lapType]}</span>`
+        : '') + (s.workout?.inRange != null
+        ? `<span class="gla-lap-type gla-target" title="Target: ${formatTarget(s.workout.target)}">${formatInt(s.workout.inRange)}% in target</span>`
+        : '') + (s.hrQuality?.flagged
+        ? `<span class="gla-lap-type gla-hr-flag" title="${formatInt(s.hrQuality.rejected)}% of HR samples rejected, ${formatInt(s.hrQuality.missing)}% of the time without HR">HR?</span>`
+        : '');
       label.innerHTML = `
-        <input type="checkbox" class="gla-lap-checkbox" data-index="${i}" checked>
+        <input type="checkbox" class="gla-lap-checkbox" data-index="${i}" ${!selected || selected.has(i) ? 'checked' : ''}>
         <span class="gla-lap-label">
-          Lap ${s.lapNumber} &mdash; ${formatDist(s.totalDistance)} km, ${duration}
+          Lap ${s.lapNumber} &mdash; ${lapSummary(s)}
         </span>
+        ${badge}
       `;
       list.appendChild(label);
     });
 
-    list.addEventListener('change', updateStats);
+    const classified = allLapStats.some((s) => s.lapType);
+    panel.querySelectorAll('.gla-interval-btn').forEach((b) => (b.style.display = classified ? '' : 'none'));
 
-    document.getElementById('gla-select-all').addEventListener('click', () => {
-      list.querySelectorAll('.gla-lap-checkbox').forEach((cb) => (cb.checked = true));
-      updateStats();
-    });
-    document.getElementById('gla-deselect-all').addEventListener('click', () => {
-      list.querySelectorAll('.gla-lap-checkbox').forEach((cb) => (cb.checked = false));
-      updateStats();
+    updateStats();
+  }
+
+  function computeAllStats(laps = currentLaps(), records = fitData.record || []) {
+    allLapStats = classifiedStats(laps, records, fitData);
+    refreshComparisons();
+  }
+
+  // Stats for every lap, tagged with work/recovery type and set group
+  function classifiedStats(laps, records, messages) {
+    const stats = computeLapStats(laps, records, statsOptions(messages));
+    const types = stats.length >= 3 ? classifyLaps(stats) : null;
+    if (!types) return stats;
+    groupIntervals(stats, types).forEach((group, id) => {
+      for (const i of group.indices) {
+        stats[i].lapType = types[i];
+        stats[i].groupId = id;
+        stats[i].group = group.label;
+      }
     });
-    document.getElementById('gla-copy').addEventListener('click', copyStats);
+    return stats;
+  }
 
+  function selectLapType(type) {
+    document.querySelectorAll('.gla-lap-checkbox').forEach((cb) => {
+      cb.checked = allLapStats[parseInt(cb.dataset.index)].lapType === type;
+    });
     updateStats();
   }
 
-  function updateStats() {
+  function selectedStats() {
     const checked = document.querySelectorAll('.gla-lap-checkbox:checked');
-    const indices = Array.from(checked).map((cb) => parseInt(cb.dataset.index));
-    const selected = indices.map((i) => allLapStats[i]);
+    return Array.from(checked).map((cb) => allLapStats[parseInt(cb.dataset.index)]);
+  }
+
+  function updateStats() {
+    const selected = selectedStats();
     document.getElementById('gla-stats-text').textContent = generateStatsText(selected);
+    renderZoneBar(selected);
+    renderChart(selected);
+    renderMap(new Set(selected));
+    renderComparison(selected);
+  }
+
+  // ── Route map ──
+
+  function hasPosition(r) {
+    return r.position_lat != null && r.position_long != null &&
+      !(r.position_lat === 0 && r.position_long === 0);
+  }
+
+  function renderMap(selected) {
+    const laps = allLapStats.map((s) => ({
+      label: `Lap ${s.lapNumber}`,
+      selected: selected.has(s),
+      points: sortByTimestamp(s.records || [])
+        .filter((r) => hasPosition(r) &&
+          (s.startTime == null || (r.timestamp >= s.startTime && r.timestamp <= s.endTime)))
+        .map((r) => [r.position_lat, r.position_long]),
+    }));
+    routeMap = renderRouteMap(document.getElementById('gla-map'), laps);
+  }
+
+  // ── History (cached activities) ──
+
+  function describeSplit(split) {
+    if (split.mode === 'distance') return `every ${formatDistance(split.every)}`;
+    if (split.mode === 'time') return `every ${formatDuration(split.every)}`;
+    if (split.mode === 'range') return 'custom range';
+    if (split.mode === 'auto') return 'auto-detected intervals';
+    return 'device laps';
+  }
+
+  async function renderHistory() {
+    const usage = panel.querySelector('#gla-history-usage');
+    const list = panel.querySelector('#gla-history-list');
+    let rows;
+    try {
+      rows = await cacheList();
+    } catch (e) {
+      usage.textContent = `Cache unavailable: ${e.message}`;
+      return;
+    }
+    const total = rows.reduce((s, r) => s + r.size, 0);
+    usage.textContent = `${rows.length} activities, ${formatMB(total)} of ${settings.cache.maxMB} MB`;
+
+    list.innerHTML = '';
+    for (const r of rows) {
+      const item = document.createElement('div');
+      item.className = 'gla-history-item';
+      item.innerHTML = `
+        <span class="gla-history-label"></span>
+        <button class="gla-history-view" data-id="${r.id}">View</button>
+        <a href="https://connect.garmin.com/modern/activity/${r.id}"${LOCAL_PAGE ? ' target="_blank"' : ''}>Open</a>
+        <button class="gla-history-delete" data-id="${r.id}" title="Remove from cache">&times;</button>
+      `;
+      item.querySelector('.gla-history-label').textContent =
+        `${activityLabel(r.startTime, r.id)} \u2014 ${r.sport}, ${formatDistance(r.distance)}, ${r.laps} laps (${formatMB(r.size)})`;
+      list.appendChild(item);
+    }
+  }
+
+  // Lap table as last analyzed, straight from the cache
+  async function viewHistory(id) {
+    const text = panel.querySelector('#gla-history-text');
+    text.style.display = 'block';
+    let saved;
+    try {
+      saved = await cacheRead('stats', id);
+    } catch (e) {
+      text.textContent = `Could not read the cache: ${e.message}`;
+      return;
+    }
+    if (!saved || saved.stats.length === 0) {
+      text.textContent = `No lap stats saved for activity ${id} yet.`;
+      return;
+    }
+    text.textContent = [
+      `Activity ${id} (${describeSplit(saved.split)})`,
+      withActivity({ id, messages: saved.context }, () =>
+        formatTable(statColumns(saved.stats), saved.stats)),
+    ].join('\n');
+  }
+
+  // ── Workout comparison ──
+
+  function parseActivityId(text) {
+    const match = text.match(/activity\/(\d+)/) || text.trim().match(/^(\d+)$/);
+    return match ? match[1] : null;
+  }
+
+  function activityLabel(startTime, id) {
+    if (startTime == null) return id;
+    return new Date(startTime * 1000).toLocaleDateString(undefined, {
+      year: 'numeric', month: 'short', day: 'numeric',
+    });
+  }
+
+  async function fillRecentList() {
+    const list = panel.querySelector('#gla-compare-recent');
+    const taken = new Set([currentActivityId, ...comparisons.map((c) => c.id)]);
+    list.innerHTML = '';
+    for (const r of await loadRecent()) {
+      if (taken.has(r.id)) continue;
+      const option = document.createElement('option');
+      option.value = r.id;
+      option.label = `${activityLabel(r.startTime, r.id)} \u2014 ${formatDistance(r.distance)}, ${r.laps} laps`;
+      list.appendChild(option);
+    }
+  }
+
+  async function addComparison() {
+    const input = panel.querySelector('#gla-compare-id');
+    const msg = panel.querySelector('#gla-compare-msg');
+    const id = parseActivityId(input.value);
+    if (!id) {
+      msg.textContent = 'Enter an activity ID or URL.';
+      return;
+    }
+    if (id === currentActivityId || comparisons.some((c) => c.id === id)) {
+      msg.textContent = 'Activity is already in the comparison.';
+      return;
+    }
+
+    const baseId = currentActivityId;
+    msg.textContent = `Loading ${id}...`;
+    try {
+      const { messages, startTime } = await loadActivityCached(id);
+      rememberActivity(id, startTime, messages);
+      // The user may have navigated to another activity meanwhile
+      if (!panel || currentActivityId !== baseId) return;
+      comparisons.push({ id, startTime, messages, stats: [] });
+      refreshComparisons();
+      input.value = '';
+      msg.textContent = '';
+      renderComparisonList();
+      renderComparison(selectedStats());
+    } catch (err) {
+      console.error('[GLA] Comparison error:', err);
+      if (panel) msg.textContent = `Could not load ${id}: ${err.message}`;
+    }
+  }
+
+  // Re-split and recompute the compared activities like the current one
+  function refreshComparisons() {
+    for (const c of comparisons) {
+      const laps = currentLaps(c.messages);
+      c.stats = laps.length > 0 ? classifiedStats(laps, c.messages.record || [], c.messages) : [];
+    }
+  }
+
+  function renderComparisonList() {
+    const list = panel.querySelector('#gla-compare-list');
+    list.innerHTML = '';
+    for (const c of comparisons) {
+      const chip = document.createElement('span');
+      chip.className = 'gla-compare-chip';
+      chip.title = `Activity ${c.id}, ${c.stats.length} laps`;
+      chip.innerHTML = `${activityLabel(c.startTime, c.id)} <button class="gla-compare-remove" data-id="${c.id}">&times;</button>`;
+      list.appendChild(chip);
+    }
+  }
+
+  function formatDelta(a, b, format) {
+    if (a == null || b == null || !isFinite(a) || !isFinite(b)) return '--';
+    const d = a - b;
+    return (d < 0 ? '-' : '+') + format(Math.abs(d));
+  }
+
+  function speedDelta(stat, base) {
+    if (speedMode() === 'speed') {
+      return formatDelta(paceToSpeed(stat.avgPace), paceToSpeed(base.avgPace), (v) => v.toFixed(1));
+    }
+    return formatDelta(paceInUnits(stat.avgPace), paceInUnits(base.avgPace), formatDuration);
+  }
+
+  const intDelta = (key) => (stat, base) => formatDelta(key(stat), key(base), (v) => String(Math.round(v)));
+
+  // Value columns leave the current activity's row blank for deltas and
+  // show '--' when a compared activity has no matching lap
+  const compareCell = (format) => (r) => (r.stat ? format(r.stat, r.base) : '--');
+  const deltaCell = (delta) => (r) => (r.stat === r.base ? '' : compareCell(delta)(r));
+
+  const COMPARE_COLUMNS = [
+    { header: 'Activity', width: 12, value: (r) => r.label.slice(0, 12) },
+    { header: 'Lap', width: 3, value: compareCell((s) => s.lapNumber.toString()) },
+    { header: 'Distance', width: 9, value: compareCell((s) => formatDistance(s.totalDistance)) },
+    { header: () => speedHeader('Avg'), width: 10, value: compareCell((s) => formatSpeed(s.avgPace)) },
+    { header: '\u0394', width: 6, value: deltaCell(speedDelta) },
+    { header: 'Avg HR', width: 6, value: compareCell((s) => formatInt(s.avgHR)) },
+    { header: '\u0394', width: 4, value: deltaCell(intDelta((s) => s.avgHR)) },
+    { header: 'Min HR', width: 6, value: compareCell((s) => formatInt(s.minHR)) },
+    { header: '\u0394', width: 4, value: deltaCell(intDelta((s) => s.minHR)) },
+    { header: 'HRR 60s', width: 7, value: compareCell((s) => formatInt(s.recovery?.drops[60])) },
+    { header: '\u0394', width: 4, value: deltaCell(intDelta((s) => s.recovery?.drops[60])) },
+  ];
+
+  function renderComparison(selected) {
+    const text = panel.querySelector('#gla-compare-text');
+    if (comparisons.length === 0 || selected.length === 0) {
+      text.style.display = 'none';
+      return;
+    }
+
+    const mode = panel.querySelector('#gla-compare-align').value;
+    const matches = comparisons.map((c) => alignLaps(selected, allLapStats, c.stats, mode));
+    const rows = [];
+    selected.forEach((s, i) => {
+      rows.push({ label: 'This', stat: s, base: s });
+      comparisons.forEach((c, k) => {
+        rows.push({ label: activityLabel(c.startTime, c.id), stat: matches[k][i], base: s });
+      });
+    });
+
+    text.style.display = 'block';
+    text.textContent = [
+      `Selected laps aligned by ${mode} (\u0394 = other activity \u2212 this one)`,
+      formatTable(COMPARE_COLUMNS, rows),
+    ].join('\n');
+  }
+
+  // ── Chart ──
+
+  function chartSeries() {
+    const el = (id) => document.getElementById(id);
+    const pace = speedMode() === 'pace';
+    el('gla-chart-pace-label').textContent = pace ? 'Pace' : 'Speed';
+    const series = [];
+    if (el('gla-chart-hr').checked) {
+      series.push({
+        key: 'hr', label: 'HR', color: '#d93025', markMin: true,
+        value: (r) => (r.heart_rate > 0 ? r.heart_rate : null),
+        format: (v) => `${Math.round(v)} bpm`,
+      });
+    }
+    if (el('gla-chart-pace').checked) {
+      // Pace below ~1 m/s is standing around and would flatten the axis
+      const secPerKm = (r) => {
+        const v = recordSpeed(r);
+        return v != null && v > 1 ? 1000 / v : null;
+      };
+      series.push(pace ? {
+        key: 'pace', label: 'Pace', color: '#1a73e8', invert: true,
+        value: (r) => paceInUnits(secPerKm(r)),
+        format: (v) => `${formatPace(v)}/${units().dist}`,
+      } : {
+        key: 'pace', label: 'Speed', color: '#1a73e8',
+        value: (r) => paceToSpeed(secPerKm(r)),
+        format: (v) => `${v.toFixed(1)} ${units().speed}`,
+      });
+    }
+    if (el('gla-chart-power').checked) {
+      series.push({
+        key: 'power', label: 'Power', color: '#f9ab00',
+        value: (r) => r.power ?? null,
+        format: (v) => `${Math.round(v)} W`,
+      });
+    }
+    return series;
+  }
+
+  function renderChart(stats) {
+    const section = document.getElementById('gla-chart-section');
+    const laps = stats
+      .filter((s) => s.startTime != null && s.endTime != null && s.records?.length)
+      .map((s) => ({
+        label: `Lap ${s.lapNumber}`,
+        start: s.startTime,
+        end: s.endTime,
+        records: sortByTimestamp(s.records).filter(
+          (r) => r.timestamp >= s.startTime && r.timestamp <= s.endTime
+        ),
+      }))
+      .filter((l) => l.records.length > 1)
+      .sort((a, b) => a.start - b.start);
+
+    section.style.display = laps.length > 0 ? 'block' : 'none';
+    if (laps.length === 0) return;
+    renderLapChart(document.getElementById('gla-chart'), laps, chartSeries(), {
+      overlay: document.getElementById('gla-chart-overlay').checked,
+    });
+  }
+
+  function renderZoneBar(stats) {
+    const bar = document.getElementById('gla-zone-bar');
+    const totals = sumZones(stats);
+    const totalTime = totals.reduce((a, b) => a + b, 0);
+    bar.innerHTML = '';
+    bar.style.display = totalTime > 0 ? 'flex' : 'none';
+    totals.forEach((t, z) => {
+      if (t <= 0) return;
+      const seg = document.createElement('div');
+      seg.className = `gla-zone-seg gla-zone-${z + 1}`;
+      seg.style.flexGrow = t;
+      seg.title = `Z${z + 1}: ${formatDuration(t)} (${Math.round((t / totalTime) * 100)}%)`;
+      seg.textContent = `Z${z + 1}`;
+      bar.appendChild(seg);
+    });
   }
 
   function copyStats() {
-    const text = document.getElementById('gla-stats-text').textContent;
+    const format = document.getElementById('gla-export-format').value;
+    const text = exportStats(format, selectedStats());
     navigator.clipboard.writeText(text).then(() => {
       const btn = document.getElementById('gla-copy');
       const orig = btn.textContent;
@@ -429,6 +2277,390 @@
     });
   }
 
+  function downloadStats() {
+    const format = document.getElementById('gla-export-format').value;
+    const { ext, mime } = EXPORT_FORMATS[format];
+    // Local files are named after the file, Garmin activities after their id
+    const base = LOCAL_PAGE ? currentActivityId.replace(/\.(fit|zip)$/i, '') : `garmin-activity-${currentActivityId}`;
+    downloadFile(`${base}-laps.${ext}`, mime, exportStats(format, selectedStats()));
+  }
+
+  // ── Batch analysis (activities list page) ──
+
+  const BATCH_CONCURRENCY = 2;
+
+  // Run `worker` over `items` with at most `limit` in flight. Cancelling the
+  // job stops new items from being started; in-flight ones finish.
+  async function runQueue(items, limit, worker, job) {
+    let next = 0;
+    const lane = async () => {
+      while (next < items.length && !job.cancelled) {
+        const i = next++;
+        await worker(items[i], i);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, lane));
+  }
+
+  // Formatters read the sport and id of the open activity; render a batch
+  // entry as if it were the one on screen
+  function withActivity(entry, fn) {
+    const saved = [fitData, currentActivityId];
+    fitData = entry.messages;
+    currentActivityId = entry.id;
+    try {
+      return fn();
+    } finally {
+      [fitData, currentActivityId] = saved;
+    }
+  }
+
+  // Device laps, or every kilometer for unlapped activities
+  function batchSplit(messages) {
+    return (messages.lap || []).length > 0 ? { mode: 'device' } : { mode: 'distance', every: 1000 };
+  }
+
+  function batchStats(messages) {
+    const records = messages.record || [];
+    const split = batchSplit(messages);
+    const laps = split.mode === 'device' ? messages.lap : buildVirtualLaps(records, split);
+    const stats = classifiedStats(laps, records, messages);
+    // Raw samples aren't needed for the summary; keep large batches light
+    for (const s of stats) delete s.records;
+    return stats;
+  }
+
+  function createBatchPanel() {
+    if (batchPanel) return;
+
+    batchPanel = document.createElement('div');
+    batchPanel.id = 'gla-batch-panel';
+    batchPanel.innerHTML = `
+      <div class="gla-panel-inner">
+        <div class="gla-header">
+          <h2>Batch Lap Analyzer</h2>
+          <button class="gla-close">&times;</button>
+        </div>
+        <div class="gla-content">
+          <div class="gla-split-controls">
+            <button id="gla-batch-page">Activities on this page</button>
+            <span>or from <input type="date" id="gla-batch-from"> to <input type="date" id="gla-batch-to"></span>
+            <button id="gla-batch-range">Load range</button>
+            <span class="gla-split-msg" id="gla-batch-msg"></span>
+          </div>
+          <div class="gla-lap-controls">
+            <button id="gla-batch-all">Select All</button>
+            <button id="gla-batch-none">Deselect All</button>
+            <button id="gla-batch-run">Analyze Selected</button>
+            <button id="gla-batch-cancel" style="display:none">Cancel</button>
+          </div>
+          <div class="gla-lap-list" id="gla-batch-list"></div>
+          <div class="gla-batch-progress" id="gla-batch-progress"></div>
+          <div class="gla-output" id="gla-batch-output" style="display:none">
+            <h3>Summary</h3>
+            <pre id="gla-batch-text"></pre>
+            <div class="gla-export-controls">
+              <select id="gla-batch-format">
+                <option value="text">Text table</option>
+                <option value="csv">CSV</option>
+                <option value="tsv">TSV (spreadsheets)</option>
+                <option value="markdown">Markdown</option>
+                <option value="json">JSON</option>
+              </select>
+              <button id="gla-batch-copy" class="gla-copy-btn">Copy to Clipboard</button>
+              <button id="gla-batch-download" class="gla-copy-btn">Download</button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(batchPanel);
+
+    const el = (id) => batchPanel.querySelector('#' + id);
+    batchPanel.querySelector('.gla-close').addEventListener('click', () => {
+      batchPanel.style.display = 'none';
+    });
+    batchPanel.addEventListener('click', (e) => {
+      if (e.target === batchPanel) batchPanel.style.display = 'none';
+    });
+
+    const today = new Date();
+    el('gla-batch-to').value = isoDate(today);
+    el('gla-batch-from').value = isoDate(new Date(today.getTime() - 28 * 86400000));
+
+    el('gla-batch-page').addEventListener('click', () => showBatchList(scrapeActivityLinks()));
+    el('gla-batch-range').addEventListener('click', loadBatchRange);
+    el('gla-batch-all').addEventListener('click', () => {
+      el('gla-batch-list').querySelectorAll('.gla-batch-checkbox').forEach((cb) => (cb.checked = true));
+    });
+    el('gla-batch-none').addEventListener('click', () => {
+      el('gla-batch-list').querySelectorAll('.gla-batch-checkbox').forEach((cb) => (cb.checked = false));
+    });
+    el('gla-batch-run').addEventListener('click', runBatch);
+    el('gla-batch-cancel').addEventListener('click', () => {
+      if (batchJob) batchJob.cancelled = true;
+    });
+    el('gla-batch-format').addEventListener('change', renderBatchSummary);
+    el('gla-batch-copy').addEventListener('click', copyBatch);
+    el('gla-batch-download').addEventListener('click', downloadBatch);
+  }
+
+  function isoDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  // Activity links rendered by Garmin's list page
+  function scrapeActivityLinks() {
+    const items = new Map();
+    for (const a of document.querySelectorAll('a[href*="/activity/"]')) {
+      if (a.closest('#gla-batch-panel')) continue;
+      const id = parseActivityId(a.getAttribute('href'));
+      if (!id) continue;
+      // Rows can link the same activity from an icon and from its name
+      const name = a.textContent.trim();
+      if (!items.has(id) || (name && !items.get(id).name)) items.set(id, { id, name, startTime: null });
+    }
+    return Array.from(items.values(), (item) => ({ ...item, name: item.name || `Activity ${item.id}` }));
+  }
+
+  async function loadBatchRange() {
+    const el = (id) => batchPanel.querySelector('#' + id);
+    const from = el('gla-batch-from').value;
+    const to = el('gla-batch-to').value;
+    if (!from || !to || from > to) {
+      el('gla-batch-msg').textContent = 'Choose a valid date range.';
+      return;
+    }
+    el('gla-batch-msg').textContent = 'Loading activity list...';
+    try {
+      const activities = await fetchActivityList(from, to);
+      el('gla-batch-msg').textContent = '';
+      showBatchList(activities.map((a) => ({
+        id: String(a.activityId),
+        name: a.activityName || `Activity ${a.activityId}`,
+        startTime: parseGmt(a.startTimeGMT),
+      })));
+    } catch (err) {
+      console.error('[GLA] Activity list error:', err);
+      el('gla-batch-msg').textContent = err.message;
+    }
+  }
+
+  function showBatchList(items) {
+    batchItems = items;
+    const list = batchPanel.querySelector('#gla-batch-list');
+    list.innerHTML = '';
+    if (items.length === 0) {
+      batchPanel.querySelector('#gla-batch-msg').textContent = 'No activities found.';
+      return;
+    }
+    items.forEach((item, i) => {
+      const label = document.createElement('label');
+      label.className = 'gla-lap-item';
+      const date = item.startTime != null ? ` &mdash; ${activityLabel(item.startTime, item.id)}` : '';
+      label.innerHTML = `
+        <input type="checkbox" class="gla-batch-checkbox" data-index="${i}" checked>
+        <span class="gla-lap-label"></span>
+      `;
+      label.querySelector('.gla-lap-label').textContent = item.name;
+      label.querySelector('.gla-lap-label').insertAdjacentHTML('beforeend', date);
+      list.appendChild(label);
+    });
+  }
+
+  async function runBatch() {
+    const el = (id) => batchPanel.querySelector('#' + id);
+    const checked = el('gla-batch-list').querySelectorAll('.gla-batch-checkbox:checked');
+    const items = Array.from(checked).map((cb) => batchItems[parseInt(cb.dataset.index)]);
+    if (items.length === 0) {
+      el('gla-batch-msg').textContent = 'Select at least one activity.';
+      return;
+    }
+    if (!settings) await loadSettings();
+
+    const job = { cancelled: false };
+    batchJob = job;
+    batchResults = [];
+    el('gla-batch-msg').textContent = '';
+    el('gla-batch-run').disabled = true;
+    el('gla-batch-cancel').style.display = '';
+    el('gla-batch-output').style.display = 'none';
+
+    const progress = (text) => (el('gla-batch-progress').textContent = text);
+    progress(`Analyzing 0 of ${items.length}...`);
+    await runQueue(items, BATCH_CONCURRENCY, async (item, index) => {
+      let result;
+      try {
+        const { messages, startTime } = await loadActivityCached(item.id);
+        const stats = batchStats(messages);
+        cacheStats(item.id, stats, batchSplit(messages), messages);
+        result = {
+          ...item,
+          index,
+          startTime: startTime ?? item.startTime,
+          messages: { session: messages.session, sport: messages.sport },
+          stats,
+        };
+      } catch (err) {
+        console.error('[GLA] Batch error:', item.id, err);
+        result = { ...item, index, error: err.message };
+      }
+      if (job.cancelled || batchJob !== job) return;
+      batchResults.push(result);
+      batchResults.sort((a, b) => a.index - b.index);
+      progress(`Analyzing ${batchResults.length} of ${items.length}...`);
+      renderBatchSummary();
+    }, job);
+
+    if (batchJob !== job) return;
+    batchJob = null;
+    el('gla-batch-run').disabled = false;
+    el('gla-batch-cancel').style.display = 'none';
+    const failed = batchResults.filter((r) => r.error).length;
+    progress([
+      job.cancelled ? `Cancelled after ${batchResults.length} of ${items.length} activities.` : `Analyzed ${batchResults.length} activities.`,
+      failed ? `${failed} failed.` : '',
+    ].join(' ').trim());
+  }
+
+  // One row per activity plus a total row, from aggregateLaps()
+  const BATCH_COLUMNS = [
+    { header: 'Activity', width: 20, value: (r) => r.name.slice(0, 20) },
+    { header: 'Date', width: 12, value: (r) => (r.startTime != null ? activityLabel(r.startTime, r.id) : '') },
+    { header: 'Laps', width: 4, value: (r) => String(r.laps) },
+    { header: 'Distance', width: 9, value: (r) => formatDistance(r.totalDistance) },
+    { header: 'Time', width: 8, value: (r) => formatDuration(r.elapsedTime) },
+    // Pace or speed follows each activity's sport; mixed-sport totals have neither
+    { header: 'Pace/Speed', width: 10,
+      value: (r) => (r.messages ? withActivity(r, () => formatSpeed(r.avgPace)) : '--') },
+    { header: 'Min HR', width: 6, value: (r) => formatInt(r.minHR) },
+    { header: 'Max HR', width: 6, value: (r) => formatInt(r.maxHR) },
+    { header: 'Avg HR', width: 6, value: (r) => formatInt(r.avgHR) },
+  ];
+
+  function batchSummaryRows(done) {
+    const rows = done.map((r) => ({ ...r, ...aggregateLaps(r.stats) }));
+    const sports = new Set(done.map((r) => activitySport(r.messages)));
+    rows.push({
+      name: 'Total',
+      messages: sports.size === 1 ? done[0].messages : null,
+      ...aggregateLaps(done.flatMap((r) => r.stats)),
+    });
+    return rows;
+  }
+
+  function generateBatchText(done, failed) {
+    const lines = ['Activities', formatTable(BATCH_COLUMNS, batchSummaryRows(done))];
+    for (const r of done) {
+      lines.push('', `${r.name} \u2014 ${activityLabel(r.startTime, r.id)} (${r.id})`);
+      lines.push(withActivity(r, () => formatTable(statColumns(r.stats), r.stats)));
+    }
+    for (const r of failed) lines.push('', `${r.name} (${r.id}): ${r.error}`);
+    return lines.join('\n');
+  }
+
+  function generateBatchMarkdown(done) {
+    const esc = (t) => t.replace(/\|/g, '\\|');
+    const lines = [
+      `| ${BATCH_COLUMNS.map(columnHeader).join(' | ')} |`,
+      `|${BATCH_COLUMNS.map((c, i) => (i < 2 ? ' --- ' : ' ---: ')).join('|')}|`,
+    ];
+    for (const row of batchSummaryRows(done)) {
+      lines.push(`| ${BATCH_COLUMNS.map((c) => esc(c.value(row).trim()) || '--').join(' | ')} |`);
+    }
+    for (const r of done) {
+      lines.push('', `### ${esc(r.name)} \u2014 ${activityLabel(r.startTime, r.id)}`, '');
+      lines.push(withActivity(r, () => generateMarkdown(r.stats)));
+    }
+    return lines.join('\n');
+  }
+
+  // One table for all laps. Pace/speed and cadence columns depend on the
+  // sport, so fields are the union over activities.
+  function generateBatchDelimited(done, delimiter) {
+    const fields = new Map();
+    for (const r of done) {
+      withActivity(r, () => exportFields(r.stats).forEach((f) => {
+        if (!fields.has(f.key)) fields.set(f.key, { field: f, headers: new Set(), units: new Set() });
+        fields.get(f.key).headers.add(exportHeader(f));
+        fields.get(f.key).units.add(exportUnit(f));
+      }));
+    }
+    // e.g. "Avg Cadence (spm/rpm)" when runs and rides are mixed
+    const header = ({ field, headers, units }) =>
+      (headers.size > 1 ? `${field.label} (${Array.from(units).join('/')})` : headers.values().next().value);
+    const keys = Array.from(fields.keys());
+    const lines = [['Activity ID', 'Activity', 'Date', ...keys.map((k) => header(fields.get(k)))]
+      .map((t) => csvCell(t, delimiter)).join(delimiter)];
+    for (const r of done) {
+      const date = r.startTime != null ? new Date(r.startTime * 1000).toISOString() : '';
+      withActivity(r, () => {
+        const own = new Set(exportFields(r.stats).map((f) => f.key));
+        for (const s of r.stats) {
+          const cells = keys.map((k) => (own.has(k) ? exportText(fields.get(k).field, s) : ''));
+          lines.push([r.id, r.name, date, ...cells].map((t) => csvCell(String(t), delimiter)).join(delimiter));
+        }
+      });
+    }
+    return lines.join('\n');
+  }
+
+  function generateBatchJson(done, failed) {
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      activities: done.map((r) => {
+        const { exportedAt, ...activity } = JSON.parse(withActivity(r, () => generateJson(r.stats)));
+        return {
+          name: r.name,
+          startTime: r.startTime != null ? new Date(r.startTime * 1000).toISOString() : null,
+          ...activity,
+        };
+      }),
+      failed: failed.map((r) => ({ activityId: r.id, name: r.name, error: r.error })),
+    }, null, 2);
+  }
+
+  function exportBatch(format) {
+    const done = batchResults.filter((r) => r.stats && r.stats.length > 0);
+    const failed = batchResults.filter((r) => r.error);
+    if (done.length === 0) return failed.map((r) => `${r.name} (${r.id}): ${r.error}`).join('\n');
+    if (format === 'csv') return generateBatchDelimited(done, ',');
+    if (format === 'tsv') return generateBatchDelimited(done, '\t');
+    if (format === 'markdown') return generateBatchMarkdown(done);
+    if (format === 'json') return generateBatchJson(done, failed);
+    return generateBatchText(done, failed);
+  }
+
+  function renderBatchSummary() {
+    if (batchResults.length === 0) return;
+    batchPanel.querySelector('#gla-batch-output').style.display = 'block';
+    batchPanel.querySelector('#gla-batch-text').textContent = exportBatch(batchPanel.querySelector('#gla-batch-format').value);
+  }
+
+  function copyBatch() {
+    const text = batchPanel.querySelector('#gla-batch-text').textContent;
+    navigator.clipboard.writeText(text).then(() => {
+      const btn = batchPanel.querySelector('#gla-batch-copy');
+      const orig = btn.textContent;
+      btn.textContent = 'Copied!';
+      setTimeout(() => (btn.textContent = orig), 2000);
+    });
+  }
+
+  function downloadBatch() {
+    const format = batchPanel.querySelector('#gla-batch-format').value;
+    const { ext, mime } = EXPORT_FORMATS[format];
+    downloadFile(`garmin-activities-${isoDate(new Date())}-laps.${ext}`, mime, exportBatch(format));
+  }
+
+  async function openBatch() {
+    if (!settings) await loadSettings();
+    createBatchPanel();
+    batchPanel.style.display = 'flex';
+    if (batchItems.length === 0) showBatchList(scrapeActivityLinks());
+  }
+
   // ── FAB & Init ──
 
   function showFab() {
@@ -445,7 +2677,22 @@
     if (el) el.remove();
   }
 
+  function showBatchFab() {
+    if (document.getElementById('gla-batch-fab')) return;
+    const fab = document.createElement('button');
+    fab.id = 'gla-batch-fab';
+    fab.textContent = '\u2665 Batch Lap Stats';
+    fab.addEventListener('click', openBatch);
+    document.body.appendChild(fab);
+  }
+
+  function hideBatchFab() {
+    const el = document.getElementById('gla-batch-fab');
+    if (el) el.remove();
+  }
+
   async function openAnalyzer() {
+    if (!settings) await loadSettings();
     createPanel();
     panel.style.display = 'flex';
 
@@ -454,36 +2701,23 @@
       return;
     }
 
-    showLoading('Fetching activity data...');
-
-    try {
-      const result = await fetchActivityData(currentActivityId);
-
-      if (result.format === 'json') {
-        showLoading('Parsing activity data...');
-        fitData = parseJsonActivity(result.data);
-      } else {
-        // Binary FIT/ZIP
-        const rawBytes = base64ToUint8Array(result.data);
-        console.log('[GLA] Downloaded', rawBytes.length, 'bytes');
-
-        let fitBytes;
-        if (isZip(rawBytes)) {
-          showLoading('Extracting FIT from ZIP...');
-          fitBytes = await extractFitFromZip(rawBytes);
-        } else if (isFit(rawBytes)) {
-          fitBytes = rawBytes;
-        } else {
-          const preview = new TextDecoder().decode(rawBytes.slice(0, 200));
-          throw new Error(`Unexpected file format (${rawBytes.length} bytes). Preview: ${preview.slice(0, 100)}`);
-        }
+    await fetchAndDisplay();
+  }
 
-        showLoading('Parsing FIT file...');
-        const parser = new FitParser(fitBytes);
-        fitData = parser.parse();
-        console.log('[GLA] FIT parsed:', Object.keys(fitData).map(k => `${k}: ${fitData[k].length}`).join(', '));
-      }
+  async function fetchAndDisplay(refresh = false) {
+    const id = currentActivityId;
+    showLoading(refresh ? 'Downloading from Garmin...' : 'Fetching activity data...');
 
+    try {
+      const { messages, startTime, cachedAt } = await loadActivityCached(id, showLoading, refresh);
+      rememberActivity(id, startTime, messages);
+      // The user may have navigated to another activity meanwhile
+      if (!panel || currentActivityId !== id) return;
+      fitData = messages;
+
+      panel.querySelector('#gla-cache-note').textContent =
+        cachedAt != null ? `Cached ${new Date(cachedAt).toLocaleDateString()}` : '';
+      panel.querySelector('#gla-refresh').style.display = '';
       displayLaps();
     } catch (err) {
       console.error('[GLA] Error:', err);
@@ -499,6 +2733,8 @@
       currentActivityId = id;
       fitData = null;
       allLapStats = [];
+      comparisons = [];
+      lapSplit = { mode: 'device' };
       if (panel) {
         panel.remove();
         panel = null;
@@ -508,6 +2744,8 @@
       currentActivityId = null;
       fitData = null;
       allLapStats = [];
+      comparisons = [];
+      lapSplit = { mode: 'device' };
       hideFab();
       if (panel) {
         panel.remove();
@@ -516,6 +2754,116 @@
     }
   }
 
-  checkForActivity();
-  setInterval(checkForActivity, 1500);
+  function checkForActivityList() {
+    const onList = /\/(?:modern\/|app\/)?activities\/?$/.test(window.location.pathname);
+    if (onList) {
+      showBatchFab();
+    } else if (document.getElementById('gla-batch-fab') || batchPanel) {
+      if (batchJob) batchJob.cancelled = true;
+      batchJob = null;
+      batchItems = [];
+      batchResults = [];
+      hideBatchFab();
+      if (batchPanel) {
+        batchPanel.remove();
+        batchPanel = null;
+      }
+    }
+  }
+
+  function checkPage() {
+    checkForActivity();
+    checkForActivityList();
+  }
+
+  // ── Local files (analyze.html) ──
+
+  async function initLocalPage() {
+    await loadSettings();
+    createPanel();
+    panel.classList.add('gla-local');
+    document.getElementById('gla-loading').style.display = 'none';
+    panel.querySelector('.gla-close').remove();
+
+    const drop = document.createElement('div');
+    drop.className = 'gla-dropzone';
+    drop.innerHTML = `
+      <p>Drop .fit, .tcx, .gpx or .zip files here, or
+        <label class="gla-file-pick">choose files<input type="file" id="gla-file-input" accept=".fit,.zip,.tcx,.gpx" multiple hidden></label>
+      </p>
+      <select id="gla-file-select" style="display:none"></select>
+      <span class="gla-split-msg" id="gla-file-msg"></span>
+    `;
+    panel.querySelector('.gla-content').prepend(drop);
+
+    drop.querySelector('#gla-file-input').addEventListener('change', (e) => {
+      openLocalFiles(Array.from(e.target.files));
+      e.target.value = '';
+    });
+    drop.querySelector('#gla-file-select').addEventListener('change', (e) => showLocalFile(e.target.value));
+    document.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      drop.classList.add('gla-dragover');
+    });
+    document.addEventListener('dragleave', (e) => {
+      if (!e.relatedTarget) drop.classList.remove('gla-dragover');
+    });
+    document.addEventListener('drop', (e) => {
+      e.preventDefault();
+      drop.classList.remove('gla-dragover');
+      openLocalFiles(Array.from(e.dataTransfer.files));
+    });
+  }
+
+  async function openLocalFiles(files) {
+    const msg = document.getElementById('gla-file-msg');
+    const errors = [];
+    let first = null;
+    for (const file of files) {
+      try {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const { messages, startTime } = await parseActivityBytes(bytes);
+        // Dropping a file again replaces it
+        localFiles = localFiles.filter((f) => f.id !== file.name);
+        localFiles.push({ id: file.name, messages, startTime });
+        first = first || file.name;
+      } catch (err) {
+        console.error('[GLA] Could not read', file.name, err);
+        errors.push(`${file.name}: ${err.message}`);
+      }
+    }
+    msg.textContent = errors.join('; ');
+
+    const select = document.getElementById('gla-file-select');
+    select.innerHTML = '';
+    for (const f of localFiles) {
+      const option = document.createElement('option');
+      option.value = f.id;
+      option.textContent = f.startTime != null ? `${f.id} (${activityLabel(f.startTime, f.id)})` : f.id;
+      select.appendChild(option);
+    }
+    select.style.display = localFiles.length > 1 ? '' : 'none';
+    if (first) {
+      select.value = first;
+      showLocalFile(first);
+    }
+  }
+
+  function showLocalFile(id) {
+    const file = localFiles.find((f) => f.id === id);
+    if (!file) return;
+    currentActivityId = file.id;
+    fitData = file.messages;
+    allLapStats = [];
+    lapSplit = { mode: 'device' };
+    document.getElementById('gla-error').style.display = 'none';
+    displayLaps();
+  }
+
+  if (LOCAL_PAGE) {
+    initLocalPage();
+  } else {
+    checkPage();
+    setInterval(checkPage, 1500);
+  }
 })();
@@ -1,37 +1,131 @@
 // Minimal FIT file parser for Garmin activity data
-// Focuses on lap (msg 19) and record (msg 20) messages
+// Focuses on lap (msg 19) and record (msg 20) messages, beat-to-beat hrv
+// (msg 78), plus the developer field definitions (msgs 206/207) written by
+// Stryd, Connect IQ etc.
 
 const FIT_MSG_NAMES = {
-  0: 'file_id', 18: 'session', 19: 'lap', 20: 'record',
-  21: 'event', 23: 'device_info', 34: 'activity',
+  0: 'file_id', 12: 'sport', 18: 'session', 19: 'lap', 20: 'record',
+  21: 'event', 23: 'device_info', 26: 'workout', 27: 'workout_step',
+  34: 'activity', 78: 'hrv', 101: 'length',
+  206: 'field_description', 207: 'developer_data_id',
 };
 
+// Values of the FIT `sport` enum used by session (msg 18) and sport (msg 12)
+const FIT_SPORTS = {
+  0: 'generic', 1: 'running', 2: 'cycling', 3: 'transition',
+  4: 'fitness_equipment', 5: 'swimming', 10: 'training', 11: 'walking',
+  12: 'cross_country_skiing', 15: 'rowing', 17: 'hiking', 19: 'paddling',
+};
+
+// Positions are stored as semicircles (2^31 per 180 degrees)
+const SEMICIRCLES_PER_DEGREE = 2 ** 31 / 180;
+
 const FIT_FIELDS = {
+  12: { // sport
+    0:   { name: 'sport' },
+    1:   { name: 'sub_sport' },
+    3:   { name: 'name' },
+  },
+  18: { // session
+    5:   { name: 'sport' },
+    6:   { name: 'sub_sport' },
+    44:  { name: 'pool_length', scale: 100 },  // m
+    46:  { name: 'pool_length_unit' },         // 0 = metric, 1 = statute (yd)
+  },
   19: { // lap
     2:   { name: 'start_time' },
     7:   { name: 'total_elapsed_time', scale: 1000 },
     8:   { name: 'total_timer_time', scale: 1000 },
     9:   { name: 'total_distance', scale: 100 },
+    10:  { name: 'total_cycles' },          // strokes for swims
     13:  { name: 'avg_speed', scale: 1000 },
     14:  { name: 'max_speed', scale: 1000 },
     15:  { name: 'avg_heart_rate' },
     16:  { name: 'max_heart_rate' },
+    19:  { name: 'avg_power' },
+    20:  { name: 'max_power' },
+    32:  { name: 'num_lengths' },
+    33:  { name: 'normalized_power' },
+    35:  { name: 'first_length_index' },
+    38:  { name: 'swim_stroke' },
+    40:  { name: 'num_active_lengths' },
+    71:  { name: 'wkt_step_index' },        // planned workout_step of the lap
     110: { name: 'enhanced_avg_speed', scale: 1000 },
     111: { name: 'enhanced_max_speed', scale: 1000 },
     253: { name: 'timestamp' },
   },
   20: { // record
-    0:   { name: 'position_lat' },
-    1:   { name: 'position_long' },
+    0:   { name: 'position_lat', scale: SEMICIRCLES_PER_DEGREE },   // degrees
+    1:   { name: 'position_long', scale: SEMICIRCLES_PER_DEGREE },  // degrees
     2:   { name: 'altitude', scale: 5, offset: 500 },
     3:   { name: 'heart_rate' },
     4:   { name: 'cadence' },
     5:   { name: 'distance', scale: 100 },
     6:   { name: 'speed', scale: 1000 },
+    7:   { name: 'power' },
+    39:  { name: 'vertical_oscillation', scale: 10 },   // mm
+    40:  { name: 'stance_time_percent', scale: 100 },   // %
+    41:  { name: 'stance_time', scale: 10 },            // ms
+    53:  { name: 'fractional_cadence', scale: 128 },
     73:  { name: 'enhanced_speed', scale: 1000 },
     78:  { name: 'enhanced_altitude', scale: 5, offset: 500 },
+    83:  { name: 'vertical_ratio', scale: 100 },        // %
+    84:  { name: 'stance_time_balance', scale: 100 },   // % left
+    85:  { name: 'step_length', scale: 10 },            // mm
+    253: { name: 'timestamp' },
+  },
+  21: { // event
+    0:   { name: 'event' },       // 0 = timer
+    1:   { name: 'event_type' },  // 0 = start, 1/4/8/9 = stop
+    253: { name: 'timestamp' },
+  },
+  26: { // workout
+    4:   { name: 'sport' },
+    6:   { name: 'num_valid_steps' },
+    8:   { name: 'wkt_name' },
+  },
+  27: { // workout_step (duration/target values depend on their type)
+    0:   { name: 'wkt_step_name' },
+    1:   { name: 'duration_type' },
+    2:   { name: 'duration_value' },
+    3:   { name: 'target_type' },
+    4:   { name: 'target_value' },
+    5:   { name: 'custom_target_value_low' },
+    6:   { name: 'custom_target_value_high' },
+    7:   { name: 'intensity' },
+    8:   { name: 'notes' },
+    254: { name: 'message_index' },
+  },
+  78: { // hrv
+    0:   { name: 'time', scale: 1000 },  // s, array of RR intervals
+  },
+  101: { // length (pool swims)
+    2:   { name: 'start_time' },
+    3:   { name: 'total_elapsed_time', scale: 1000 },
+    4:   { name: 'total_timer_time', scale: 1000 },
+    5:   { name: 'total_strokes' },
+    6:   { name: 'avg_speed', scale: 1000 },
+    7:   { name: 'swim_stroke' },
+    9:   { name: 'avg_swimming_cadence' },
+    12:  { name: 'length_type' },           // 0 = idle (rest), 1 = active
     253: { name: 'timestamp' },
   },
+  206: { // field_description
+    0:   { name: 'developer_data_index' },
+    1:   { name: 'field_definition_number' },
+    2:   { name: 'fit_base_type_id' },
+    3:   { name: 'field_name' },
+    6:   { name: 'scale' },
+    7:   { name: 'offset' },
+    8:   { name: 'units' },
+    14:  { name: 'native_mesg_num' },
+    15:  { name: 'native_field_num' },
+  },
+  207: { // developer_data_id
+    2:   { name: 'manufacturer_id' },
+    3:   { name: 'developer_data_index' },
+    4:   { name: 'application_version' },
+  },
 };
 
 const BASE_TYPES = {
@@ -51,6 +145,23 @@ const BASE_TYPES = {
   0x0D: { size: 1, read: null,         invalid: null },       // byte array
 };
 
+// CRC-16 used for the FIT header and file checksums
+const FIT_CRC_TABLE = [
+  0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+  0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400,
+];
+
+function fitCrc(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    for (const nibble of [bytes[i] & 0x0F, bytes[i] >> 4]) {
+      const tmp = FIT_CRC_TABLE[crc & 0x0F];
+      crc = ((crc >> 4) & 0x0FFF) ^ tmp ^ FIT_CRC_TABLE[nibble];
+    }
+  }
+  return crc;
+}
+
 class FitParser {
   constructor(data) {
     if (data instanceof Uint8Array) {
@@ -64,34 +175,92 @@ class FitParser {
     this.definitions = {};
     this.messages = {};
     this.lastTimestamp = 0;
+    // Developer field definitions: devFieldDefs[developer_data_index][field_definition_number]
+    this.devFieldDefs = {};
+    // Integrity problems found while parsing, returned as messages.diagnostics
+    this.diagnostics = {
+      segments: 0,              // FIT files chained in the buffer
+      crcErrors: [],            // [{ segment, kind: 'header' | 'file', stored, computed }]
+      truncated: null,          // { offset, expected } when the file ends early
+      unknownLocalTypes: [],    // [{ segment, localType, offset }] data without a definition
+      skipped: [],              // [{ segment, offset, bytes, reason }] undecodable data
+      unsupportedBaseTypes: {}, // base type (hex) -> number of fields skipped
+      trailingBytes: 0,         // non-FIT bytes after the last segment
+    };
   }
 
   parse() {
-    this._parseHeader();
-    const dataEnd = this.dataOffset + this.dataSize;
+    let start = 0;
+    do {
+      start = this._parseSegment(start);
+    } while (start < this.bytes.length && this._isHeaderAt(start));
+    if (start < this.bytes.length) this.diagnostics.trailingBytes = this.bytes.length - start;
+    this.messages.diagnostics = this.diagnostics;
+    return this.messages;
+  }
+
+  _isHeaderAt(offset) {
+    const b = this.bytes;
+    return offset + 12 <= b.length && b[offset] >= 12 &&
+      b[offset + 8] === 0x2E && b[offset + 9] === 0x46 && b[offset + 10] === 0x49 && b[offset + 11] === 0x54;
+  }
+
+  // One FIT file (header, records, CRC) starting at `start`.
+  // Returns the offset just past its CRC.
+  _parseSegment(start) {
+    const { headerSize, dataSize } = this._parseHeader(start);
+    const segment = ++this.diagnostics.segments;
+    // Local types and developer fields are scoped to a file
+    this.definitions = {};
+    this.devFieldDefs = {};
+
+    const declaredEnd = start + headerSize + dataSize;
+    if (declaredEnd + 2 > this.bytes.length) {
+      this.diagnostics.truncated = { offset: this.bytes.length, expected: declaredEnd + 2 };
+    }
+    const dataEnd = Math.min(declaredEnd, this.bytes.length);
+
+    this.offset = start + headerSize;
     while (this.offset < dataEnd) {
+      const recordStart = this.offset;
+      let reason = null;
       try {
-        this._parseRecord();
+        this._parseRecord(segment);
+        if (this.offset > dataEnd) reason = 'message runs past the end of the data';
       } catch (e) {
-        // Skip corrupted records at end of file
+        reason = e instanceof RangeError ? 'file ends inside a message' : e.message;
+      }
+      if (reason) {
+        // Record sizes come from definitions, so there is no way to resync
+        this.diagnostics.skipped.push({ segment, offset: recordStart, bytes: dataEnd - recordStart, reason });
         break;
       }
     }
-    return this.messages;
+
+    if (declaredEnd + 2 <= this.bytes.length) {
+      const stored = this.view.getUint16(declaredEnd, true);
+      const computed = fitCrc(this.bytes, start, declaredEnd);
+      if (stored !== computed) this.diagnostics.crcErrors.push({ segment, kind: 'file', stored, computed });
+    }
+    return declaredEnd + 2;
   }
 
-  _parseHeader() {
-    const headerSize = this.view.getUint8(0);
-    this.dataSize = this.view.getUint32(4, true);
-    const sig = String.fromCharCode(
-      this.bytes[8], this.bytes[9], this.bytes[10], this.bytes[11]
-    );
-    if (sig !== '.FIT') throw new Error('Not a valid FIT file');
-    this.offset = headerSize;
-    this.dataOffset = headerSize;
+  _parseHeader(start) {
+    if (!this._isHeaderAt(start)) throw new Error('Not a valid FIT file');
+    const headerSize = this.bytes[start];
+    const dataSize = this.view.getUint32(start + 4, true);
+    // 14-byte headers carry their own CRC (0 = not computed)
+    if (headerSize >= 14 && start + 14 <= this.bytes.length) {
+      const stored = this.view.getUint16(start + 12, true);
+      const computed = fitCrc(this.bytes, start, start + 12);
+      if (stored !== 0 && stored !== computed) {
+        this.diagnostics.crcErrors.push({ segment: this.diagnostics.segments + 1, kind: 'header', stored, computed });
+      }
+    }
+    return { headerSize, dataSize };
   }
 
-  _parseRecord() {
+  _parseRecord(segment) {
     const header = this.view.getUint8(this.offset++);
 
     if (header & 0x80) {
@@ -102,7 +271,7 @@ class FitParser {
       let ts = (prev & 0xFFFFFFE0) + timeOffset;
       if (timeOffset < (prev & 0x1F)) ts += 0x20;
       this.lastTimestamp = ts;
-      this._parseDataMessage(localType, ts);
+      this._parseDataMessage(localType, segment, ts);
     } else if (header & 0x40) {
       // Definition message
       const localType = header & 0x0F;
@@ -111,7 +280,7 @@ class FitParser {
     } else {
       // Data message
       const localType = header & 0x0F;
-      this._parseDataMessage(localType);
+      this._parseDataMessage(localType, segment);
     }
   }
 
@@ -147,9 +316,10 @@ class FitParser {
     this.definitions[localType] = { globalMsgNum, littleEndian, fields, devFields };
   }
 
-  _parseDataMessage(localType, compressedTs) {
+  _parseDataMessage(localType, segment, compressedTs) {
     const def = this.definitions[localType];
     if (!def) {
+      this.diagnostics.unknownLocalTypes.push({ segment, localType, offset: this.offset - 1 });
       throw new Error(`No definition for local type ${localType}`);
     }
 
@@ -160,23 +330,46 @@ class FitParser {
       const value = this._readField(field, def.littleEndian);
       const profile = profileFields[field.num];
       if (profile && value !== null) {
-        let v = value;
-        if (profile.scale) v = v / profile.scale;
-        if (profile.offset) v = v - profile.offset;
-        msg[profile.name] = v;
+        const scale = (v) => {
+          if (v === null) return null;
+          if (profile.scale) v = v / profile.scale;
+          if (profile.offset) v = v - profile.offset;
+          return v;
+        };
+        msg[profile.name] = Array.isArray(value) ? value.map(scale) : scale(value);
       }
     }
 
-    // Skip developer fields
+    // Developer fields, decoded with the matching field_description
     for (const df of def.devFields) {
-      this.offset += df.size;
+      const desc = this.devFieldDefs[df.devIdx]?.[df.num];
+      if (!desc) {
+        this.offset += df.size;
+        continue;
+      }
+      let v = this._readField({ size: df.size, baseType: desc.baseType }, def.littleEndian);
+      if (v === null) continue;
+      if (typeof v === 'number') {
+        if (desc.scale) v = v / desc.scale;
+        if (desc.offset) v = v - desc.offset;
+      }
+      if (!msg.dev_fields) msg.dev_fields = {};
+      msg.dev_fields[desc.name] = v;
     }
 
+    if (def.globalMsgNum === 206) this._registerDevField(msg);
+
     // Inject compressed timestamp if no explicit timestamp
     if (compressedTs !== undefined && msg.timestamp == null) {
       msg.timestamp = compressedTs;
     }
 
+    // hrv messages have no timestamp; keep the time of the preceding
+    // message so the beats can be placed on the activity timeline
+    if (def.globalMsgNum === 78 && msg.timestamp == null) {
+      msg.last_timestamp = this.lastTimestamp;
+    }
+
     // Track timestamp
     if (msg.timestamp != null) {
       this.lastTimestamp = msg.timestamp;
@@ -190,28 +383,62 @@ class FitParser {
     }
   }
 
+  _registerDevField(desc) {
+    const devIdx = desc.developer_data_index;
+    const num = desc.field_definition_number;
+    if (devIdx == null || num == null || desc.fit_base_type_id == null) return;
+    if (!this.devFieldDefs[devIdx]) this.devFieldDefs[devIdx] = {};
+    this.devFieldDefs[devIdx][num] = {
+      name: desc.field_name || `dev_${devIdx}_${num}`,
+      units: desc.units || '',
+      baseType: desc.fit_base_type_id,
+      scale: desc.scale || null,
+      offset: desc.offset || null,
+    };
+  }
+
   _readField(field, littleEndian) {
     const { size, baseType } = field;
     const typeInfo = BASE_TYPES[baseType] || BASE_TYPES[baseType & 0x1F];
 
+    if (typeInfo && baseType === 0x07) {
+      return this._readString(size);
+    }
+
+    if (!typeInfo) {
+      const key = '0x' + baseType.toString(16).padStart(2, '0');
+      this.diagnostics.unsupportedBaseTypes[key] = (this.diagnostics.unsupportedBaseTypes[key] || 0) + 1;
+    }
     if (!typeInfo || !typeInfo.read) {
-      // String, byte array, or unknown type - skip
+      // Byte array or unknown type - skip
       this.offset += size;
       return null;
     }
 
-    // Array fields (size > base type size) - skip
-    if (size !== typeInfo.size) {
+    // Sizes that aren't a whole number of elements can't be decoded
+    if (size % typeInfo.size !== 0) {
       this.offset += size;
       return null;
     }
 
-    const value = this.view[typeInfo.read](this.offset, littleEndian);
+    // Array fields: one value per element, invalid elements as null
+    const values = [];
+    for (let at = this.offset; at < this.offset + size; at += typeInfo.size) {
+      const value = this.view[typeInfo.read](at, littleEndian);
+      values.push(typeInfo.invalid !== null && value === typeInfo.invalid ? null : value);
+    }
     this.offset += size;
 
-    // Check invalid sentinel
-    if (typeInfo.invalid !== null && value === typeInfo.invalid) return null;
+    if (values.length === 1) return values[0];
+    return values.every((v) => v === null) ? null : values;
+  }
 
-    return value;
+  _readString(size) {
+    let end = this.offset;
+    const limit = this.offset + size;
+    while (end < limit && this.bytes[end] !== 0) end++;
+    const str = new TextDecoder().decode(this.bytes.subarray(this.offset, end));
+    this.offset = limit;
+    return str || null;
   }
 }
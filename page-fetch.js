@@ -38,6 +38,17 @@ function garminFetch(path) {
   return _origFetch(path, { headers, credentials: 'same-origin' });
 }
 
+// Wait for Garmin's page to make its initial XHR calls so we capture the CSRF token
+async function waitForCsrf() {
+  if (!csrfToken) {
+    console.log('[GLA] Waiting for CSRF token capture...');
+    for (let i = 0; i < 10 && !csrfToken; i++) await new Promise(r => setTimeout(r, 500));
+  }
+  if (!csrfToken) {
+    throw new Error('Could not capture CSRF token. Please reload the page and try again.');
+  }
+}
+
 // ── Handle requests from content script ──
 window.addEventListener('message', async (event) => {
   if (event.source !== window || event.data?.type !== 'GLA_FETCH_REQUEST') return;
@@ -45,14 +56,7 @@ window.addEventListener('message', async (event) => {
   const { activityId, requestId } = event.data;
 
   try {
-    // Wait for Garmin's page to make its initial XHR calls so we capture the CSRF token
-    if (!csrfToken) {
-      console.log('[GLA] Waiting for CSRF token capture...');
-      for (let i = 0; i < 10 && !csrfToken; i++) await new Promise(r => setTimeout(r, 500));
-    }
-    if (!csrfToken) {
-      throw new Error('Could not capture CSRF token. Please reload the page and try again.');
-    }
+    await waitForCsrf();
 
     console.log('[GLA] CSRF token captured, attempting download...');
 
@@ -73,25 +77,42 @@ window.addEventListener('message', async (event) => {
 
     // Strategy 2: JSON API
     console.log('[GLA] FIT download failed (' + fitResp.status + '), trying JSON API...');
-    const [dResp, sResp] = await Promise.all([
+    const [dResp, sResp, aResp] = await Promise.all([
       garminFetch(`/gc-api/activity-service/activity/${activityId}/details?maxChartSize=100000&maxPolylineSize=100000`),
       garminFetch(`/gc-api/activity-service/activity/${activityId}/splits`),
+      garminFetch(`/gc-api/activity-service/activity/${activityId}`),
     ]);
-    console.log('[GLA] Details:', dResp.status, '| Splits:', sResp.status);
+    console.log('[GLA] Details:', dResp.status, '| Splits:', sResp.status, '| Summary:', aResp.status);
 
     if (!dResp.ok || !sResp.ok) {
+      // Strategy 3: TCX export (parsed by track-parsers.js)
+      const tcxResp = await garminFetch(`/gc-api/download-service/export/tcx/activity/${activityId}`);
+      const tcxCt = tcxResp.headers.get('content-type') || '';
+      console.log('[GLA] TCX:', tcxResp.status, tcxCt);
+      if (tcxResp.ok && !tcxCt.includes('html')) {
+        const buf = await tcxResp.arrayBuffer();
+        window.postMessage({
+          type: 'GLA_FETCH_RESPONSE', requestId,
+          success: true, format: 'binary',
+          data: toBase64(new Uint8Array(buf)),
+        }, '*');
+        return;
+      }
+
       throw new Error(
-        `API failed: FIT=${fitResp.status}, Details=${dResp.status}, Splits=${sResp.status}. ` +
+        `API failed: FIT=${fitResp.status}, Details=${dResp.status}, Splits=${sResp.status}, TCX=${tcxResp.status}. ` +
         `CSRF: ${!!csrfToken}. Try refreshing the page.`
       );
     }
 
     const details = await dResp.json();
     const splits = await sResp.json();
+    // The summary only adds the activity type; analysis works without it
+    const summary = aResp.ok ? await aResp.json().catch(() => null) : null;
     window.postMessage({
       type: 'GLA_FETCH_RESPONSE', requestId,
       success: true, format: 'json',
-      data: JSON.stringify({ details, splits }),
+      data: JSON.stringify({ details, splits, summary }),
     }, '*');
   } catch (e) {
     console.error('[GLA]', e);
@@ -101,3 +122,38 @@ window.addEventListener('message', async (event) => {
     }, '*');
   }
 });
+
+// ── Activity list for batch analysis (date range, YYYY-MM-DD) ──
+const LIST_LIMIT = 200;
+
+window.addEventListener('message', async (event) => {
+  if (event.source !== window || event.data?.type !== 'GLA_LIST_REQUEST') return;
+
+  const { startDate, endDate, requestId } = event.data;
+
+  try {
+    await waitForCsrf();
+    // One page at a time until a short page marks the end of the range
+    const activities = [];
+    for (let start = 0; ; start += LIST_LIMIT) {
+      const params = new URLSearchParams({ startDate, endDate, start, limit: LIST_LIMIT });
+      const resp = await garminFetch(`/gc-api/activitylist-service/activities/search/activities?${params}`);
+      if (!resp.ok) throw new Error(`Activity list failed: ${resp.status}. Try refreshing the page.`);
+      const page = await resp.json();
+      if (!Array.isArray(page)) break;
+      activities.push(...page);
+      if (page.length < LIST_LIMIT) break;
+    }
+    window.postMessage({
+      type: 'GLA_LIST_RESPONSE', requestId,
+      success: true, format: 'json',
+      data: JSON.stringify(activities),
+    }, '*');
+  } catch (e) {
+    console.error('[GLA]', e);
+    window.postMessage({
+      type: 'GLA_LIST_RESPONSE', requestId,
+      success: false, error: e.message,
+    }, '*');
+  }
+});
@@ -0,0 +1,162 @@
+// TCX and GPX parsers
+// Normalize XML track exports into the same { session, lap, record } shape
+// as FitParser.parse(). Timestamps are Unix seconds, positions in degrees.
+
+const TCX_SPORTS = { Running: 1, Biking: 2 };
+const GPX_SPORTS = { running: 1, run: 1, cycling: 2, biking: 2, ride: 2, swimming: 5, walking: 11, hiking: 17 };
+
+const EARTH_RADIUS = 6371008.8; // m, mean radius
+
+// Elements by local name, whatever namespace prefix the exporter used
+function xmlChildren(el, name) {
+  return Array.from(el.getElementsByTagNameNS('*', name));
+}
+
+function xmlChild(el, name) {
+  return el.getElementsByTagNameNS('*', name)[0] || null;
+}
+
+// Number in an element (or its nested <Value>), null if missing
+function xmlValue(el) {
+  if (!el) return null;
+  const v = parseFloat((xmlChild(el, 'Value') || el).textContent);
+  return isFinite(v) ? v : null;
+}
+
+function xmlNumber(el, name) {
+  return xmlValue(xmlChild(el, name));
+}
+
+function xmlTime(text) {
+  const t = Date.parse(text);
+  return isNaN(t) ? null : t / 1000;
+}
+
+function haversine(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('Invalid XML file');
+  return doc;
+}
+
+// Garmin TrackPointExtension (TPX in TCX, gpxtpx in GPX) and power fields
+function readTrackExtensions(el, record) {
+  const ext = xmlChild(el, 'Extensions') || xmlChild(el, 'extensions');
+  if (!ext) return;
+  const fields = {
+    Speed: 'speed', speed: 'speed',
+    RunCadence: 'cadence', cad: 'cadence',
+    Watts: 'power', power: 'power',
+    hr: 'heart_rate',
+  };
+  for (const [tag, key] of Object.entries(fields)) {
+    const v = xmlNumber(ext, tag);
+    if (v != null && record[key] == null) record[key] = v;
+  }
+}
+
+function parseTcx(text) {
+  const doc = parseXml(text);
+  const activity = xmlChild(doc, 'Activity');
+  if (!activity) throw new Error('No activity found in TCX file');
+  const messages = {
+    session: [{ sport: TCX_SPORTS[activity.getAttribute('Sport')] ?? 0 }],
+    lap: [],
+    record: [],
+  };
+
+  for (const lapEl of xmlChildren(activity, 'Lap')) {
+    const startTime = xmlTime(lapEl.getAttribute('StartTime'));
+    const lapRecords = [];
+    for (const pt of xmlChildren(lapEl, 'Trackpoint')) {
+      const timestamp = xmlTime(xmlChild(pt, 'Time')?.textContent);
+      if (timestamp == null) continue;
+      const record = { timestamp };
+      const position = xmlChild(pt, 'Position');
+      if (position) {
+        record.position_lat = xmlNumber(position, 'LatitudeDegrees');
+        record.position_long = xmlNumber(position, 'LongitudeDegrees');
+      }
+      const fields = {
+        AltitudeMeters: 'altitude', DistanceMeters: 'distance',
+        HeartRateBpm: 'heart_rate', Cadence: 'cadence',
+      };
+      for (const [tag, key] of Object.entries(fields)) {
+        const v = xmlNumber(pt, tag);
+        if (v != null) record[key] = v;
+      }
+      readTrackExtensions(pt, record);
+      lapRecords.push(record);
+    }
+    messages.record.push(...lapRecords);
+
+    // Lap-level values, not those of the nested trackpoints
+    const own = (name) => Array.from(lapEl.children).find((c) => c.localName === name) || null;
+    const num = (name) => xmlValue(own(name));
+    const lx = own('Extensions');
+    const timer = num('TotalTimeSeconds') || 0;
+    const lastPoint = lapRecords[lapRecords.length - 1]?.timestamp;
+    messages.lap.push({
+      start_time: startTime,
+      timestamp: Math.max(startTime + timer, lastPoint ?? -Infinity),
+      total_timer_time: timer,
+      total_distance: num('DistanceMeters') || 0,
+      avg_heart_rate: num('AverageHeartRateBpm'),
+      max_heart_rate: num('MaximumHeartRateBpm'),
+      avg_speed: lx ? xmlNumber(lx, 'AvgSpeed') : null,
+      avg_power: lx ? xmlNumber(lx, 'AvgWatts') : null,
+      max_power: lx ? xmlNumber(lx, 'MaxWatts') : null,
+    });
+  }
+  return messages;
+}
+
+function parseGpx(text) {
+  const doc = parseXml(text);
+  const type = (xmlChild(doc, 'type')?.textContent || '').trim().toLowerCase();
+  const messages = {
+    session: [{ sport: GPX_SPORTS[type] ?? 0 }],
+    lap: [], // GPX has no laps; the analyzer splits it per kilometer
+    record: [],
+  };
+
+  let distance = 0;
+  let prev = null;
+  for (const pt of xmlChildren(doc, 'trkpt')) {
+    const timestamp = xmlTime(xmlChild(pt, 'time')?.textContent);
+    if (timestamp == null) continue;
+    const lat = parseFloat(pt.getAttribute('lat'));
+    const lon = parseFloat(pt.getAttribute('lon'));
+    // No distance in GPX: accumulate it from the positions
+    if (prev && isFinite(lat) && isFinite(lon)) distance += haversine(prev.lat, prev.lon, lat, lon);
+    if (isFinite(lat) && isFinite(lon)) prev = { lat, lon };
+
+    const record = { timestamp, distance };
+    if (isFinite(lat) && isFinite(lon)) {
+      record.position_lat = lat;
+      record.position_long = lon;
+    }
+    const ele = xmlNumber(pt, 'ele');
+    if (ele != null) record.altitude = ele;
+    readTrackExtensions(pt, record);
+    messages.record.push(record);
+  }
+  if (messages.record.length === 0) throw new Error('No track points found in GPX file');
+  return messages;
+}
+
+// TCX or GPX, by root element
+function parseXmlActivity(text) {
+  const root = text.slice(0, 2000);
+  if (/<TrainingCenterDatabase[\s>]/.test(root)) return parseTcx(text);
+  if (/<gpx[\s>]/.test(root)) return parseGpx(text);
+  throw new Error('Unsupported XML file (expected TCX or GPX)');
+}